@@ -6,18 +6,66 @@ import {
   onAuthStateChanged,
   db,
   collection,
-  query,
-  orderBy,
-  getDocs,
   addDoc,
   updateDoc,
   deleteDoc,
   doc,
+  writeBatch,
+  serverTimestamp,
+  deleteField,
+  Timestamp,
   checkIsAdmin,
+  subscribeToItems,
+  subscribeToRequests,
+  subscribeToPickupSlots,
 } from "./firebaseClient.js";
 
 import { prepareImageForUpload, formatBytes, isMobileDevice, processImageForMobile } from "./imageResizer.js";
 import { isHeicFile, convertHeicToJpeg } from "./heicConverter.js";
+import {
+  REQUEST_STATUSES,
+  getStatusMeta,
+  isOpenStatus,
+  buildStatusUpdate,
+  getStatusHistory,
+  formatRequestDate,
+} from "./requestStatus.js";
+import {
+  getAvailabilityMeta,
+  getAvailabilityDateLabel,
+  validateAvailabilityDates,
+  validateHoldChange,
+} from "./itemAvailability.js";
+import { normalizePrice, isLegacyPrice, parseLegacyPrice, buildPrice, validatePrice, formatPrice } from "./itemPrice.js";
+import { getItemQueue, groupRequestsByItem, moveInQueue, isHolder } from "./requestQueue.js";
+import { formatSlot, isUpcoming, releaseSlotInBatch, deleteRequestReleasingSlot } from "./pickupSlots.js";
+import {
+  releaseOpenRequestInBatch,
+  reopenRequestClaimingGuard,
+  loadOpenRequestKeys,
+  findUnguardedRequests,
+  backfillOpenRequestGuard,
+  DUPLICATE_REQUEST,
+} from "./requestGuard.js";
+import { pushToRequester, PUSH_EVENTS } from "./pushNotifications.js";
+import { hasConfirmedPickup, buildPickupCalendar, downloadCalendar } from "./calendarExport.js";
+import { IMPORT_FIELDS, parseDelimited, guessColumnMapping, buildImportRows } from "./itemImport.js";
+import {
+  DEFAULT_SITE_SETTINGS,
+  subscribeToSiteSettings,
+  saveSiteSettings,
+  saveSiteSettingsInBatch,
+  getHeroEyebrow,
+  validateHeroSettings,
+} from "./siteSettings.js";
+import { createMessageThread, deleteMessages, watchUnreadBadges } from "./requestMessages.js";
+import {
+  notifyRequestEvent,
+  getNotificationPreferences,
+  saveNotificationPreferences,
+  NOTIFY_EVENTS,
+} from "./notifier.js";
+import { itemsToCsv, requestsToCsv, buildBackup, parseBackupItems, downloadFile } from "./dataExport.js";
 
 // =====================================================
 // CLOUDINARY CONFIGURATION
@@ -32,6 +80,8 @@ const authBtn = document.getElementById("auth-btn");
 const authBtnMobile = document.getElementById("auth-btn-mobile");
 const profileLink = document.getElementById("profile-link");
 const profileLinkMobile = document.getElementById("profile-link-mobile");
+const adminLink = document.getElementById("admin-link");
+const adminLinkMobile = document.getElementById("admin-link-mobile");
 const adminMessage = document.getElementById("admin-message");
 
 // Items elements
@@ -49,6 +99,8 @@ const requestsList = document.getElementById("requests-list");
 const requestsLoading = document.getElementById("requests-loading");
 const requestsEmpty = document.getElementById("requests-empty");
 const requestSearch = document.getElementById("request-search");
+const requestStatusFilters = document.getElementById("request-status-filters");
+const requestViewToggle = document.getElementById("request-view-toggle");
 
 // Modal elements
 const itemModal = document.getElementById("item-modal");
@@ -63,6 +115,104 @@ const modalStatus = document.getElementById("modal-status");
 const itemIdInput = document.getElementById("item-id");
 const imagesUrlInput = document.getElementById("images-url-input");
 const tagsInput = document.getElementById("tags-input");
+const priceTypeSelect = document.getElementById("price-type-select");
+const priceFields = document.getElementById("price-fields");
+
+// Pickup slots modal
+const manageSlotsBtn = document.getElementById("manage-slots-btn");
+const slotsModal = document.getElementById("slots-modal");
+const slotsModalClose = document.getElementById("slots-modal-close");
+const slotsList = document.getElementById("slots-list");
+const slotForm = document.getElementById("slot-form");
+const slotSubmit = document.getElementById("slot-submit");
+const slotStatus = document.getElementById("slot-status");
+const exportPickupsBtn = document.getElementById("export-pickups-btn");
+
+// Bulk selection bar
+const bulkSelectAll = document.getElementById("bulk-select-all");
+const bulkSelectionText = document.getElementById("bulk-selection-text");
+const bulkActions = document.getElementById("bulk-actions");
+const bulkTagInput = document.getElementById("bulk-tag-input");
+const bulkPriceInput = document.getElementById("bulk-price-input");
+const bulkAvailabilitySelect = document.getElementById("bulk-availability-select");
+const bulkStatus = document.getElementById("bulk-status");
+
+// Tag manager modal
+const manageTagsBtn = document.getElementById("manage-tags-btn");
+const tagsModal = document.getElementById("tags-modal");
+const tagsModalClose = document.getElementById("tags-modal-close");
+const tagsList = document.getElementById("tags-list");
+const tagsStatus = document.getElementById("tags-status");
+
+// Site settings modal
+const siteSettingsBtn = document.getElementById("site-settings-btn");
+const siteSettingsModal = document.getElementById("site-settings-modal");
+const siteSettingsModalClose = document.getElementById("site-settings-modal-close");
+const siteSettingsCancel = document.getElementById("site-settings-cancel");
+const siteSettingsForm = document.getElementById("site-settings-form");
+const siteSettingsEyebrow = document.getElementById("site-settings-eyebrow");
+const siteSettingsSubmit = document.getElementById("site-settings-submit");
+const siteSettingsStatus = document.getElementById("site-settings-status");
+
+// Notification preferences modal
+const notificationsBtn = document.getElementById("notifications-btn");
+const notificationsModal = document.getElementById("notifications-modal");
+const notificationsModalClose = document.getElementById("notifications-modal-close");
+const notificationsCancel = document.getElementById("notifications-cancel");
+const notificationsForm = document.getElementById("notifications-form");
+const notificationsSubmit = document.getElementById("notifications-submit");
+const notificationsStatus = document.getElementById("notifications-status");
+
+// Category order modal
+const categoryOrderBtn = document.getElementById("category-order-btn");
+const categoriesModal = document.getElementById("categories-modal");
+const categoriesModalClose = document.getElementById("categories-modal-close");
+const categoriesCancel = document.getElementById("categories-cancel");
+const categoriesSave = document.getElementById("categories-save");
+const categoriesStatus = document.getElementById("categories-status");
+const categoryOrderList = document.getElementById("category-order-list");
+const categoryAddSelect = document.getElementById("category-add-select");
+const categoryAddBtn = document.getElementById("category-add-btn");
+const ignoredTagsList = document.getElementById("ignored-tags-list");
+const ignoredAddSelect = document.getElementById("ignored-add-select");
+const ignoredAddBtn = document.getElementById("ignored-add-btn");
+
+// Import modal
+const importItemsBtn = document.getElementById("import-items-btn");
+const importModal = document.getElementById("import-modal");
+const importModalClose = document.getElementById("import-modal-close");
+const importCancel = document.getElementById("import-cancel");
+const importFileInput = document.getElementById("import-file-input");
+const importMapping = document.getElementById("import-mapping");
+const importSkipDuplicates = document.getElementById("import-skip-duplicates");
+const importSkipDuplicatesLabel = document.getElementById("import-skip-duplicates-label");
+const importPreview = document.getElementById("import-preview");
+const importSubmit = document.getElementById("import-submit");
+const importSubmitText = document.getElementById("import-submit-text");
+const importStatus = document.getElementById("import-status");
+
+// Export / backup modal
+const backupBtn = document.getElementById("backup-btn");
+const backupModal = document.getElementById("backup-modal");
+const backupModalClose = document.getElementById("backup-modal-close");
+const exportItemsCsvBtn = document.getElementById("export-items-csv");
+const exportRequestsCsvBtn = document.getElementById("export-requests-csv");
+const exportBackupJsonBtn = document.getElementById("export-backup-json");
+const restoreFileInput = document.getElementById("restore-file-input");
+const restoreSummary = document.getElementById("restore-summary");
+const restoreSubmit = document.getElementById("restore-submit");
+const restoreSubmitText = document.getElementById("restore-submit-text");
+const backupStatus = document.getElementById("backup-status");
+
+// Price migration banner
+const priceMigrationBanner = document.getElementById("price-migration-banner");
+const priceMigrationText = document.getElementById("price-migration-text");
+const priceMigrationBtn = document.getElementById("price-migration-btn");
+
+// Open-request guard backfill banner
+const guardBackfillBanner = document.getElementById("guard-backfill-banner");
+const guardBackfillText = document.getElementById("guard-backfill-text");
+const guardBackfillBtn = document.getElementById("guard-backfill-btn");
 
 // Image upload elements
 const imageUploadArea = document.getElementById("image-upload-area");
@@ -90,7 +240,15 @@ let currentUser = null;
 let items = [];
 let filteredItems = []; // Filtered items based on tag selection
 let requests = [];
+let hasLoadedRequests = false;
+let unguardedRequestIds = new Set(); // Open requests that had no guard when guards were last read
 let filterTerm = "";
+let statusFilter = "all"; // "all" or one of REQUEST_STATUSES values
+let requestsView = "list"; // "list" or "queue" (grouped by item)
+let pickupSlots = [];
+let importTable = null; // { headers, rows, mapping } for the file being imported
+let restoreItems = null; // Items read from a backup file, waiting to be restored
+const selectedItemIds = new Set(); // Items checked for a bulk action
 let editingItem = null;
 let currentImages = []; // Array of image URLs
 let isUploading = false;
@@ -98,6 +256,16 @@ let uploadingImageIndex = -1; // Track which image is currently uploading
 let allExistingTags = []; // Array of all existing tags for autocomplete
 let activeTags = new Set(); // Set of active tag filters
 let allAvailableTags = []; // Array of [normalizedTag, displayTag] tuples
+let unsubscribeItems = null; // Live items listener
+let unsubscribeRequests = null; // Live requests listener
+let unsubscribePickupSlots = null; // Live pickup slots listener
+let unsubscribeSiteSettings = null; // Live site settings listener
+let stopUnreadBadges = null; // Unread message badges on the header links
+const messageThreads = new Map(); // Message thread per request, kept across re-renders
+let siteSettings = DEFAULT_SITE_SETTINGS; // Saved hero copy, move details and category order
+let draftCategoryOrder = []; // Edits in the category order modal, saved on demand
+let draftIgnoredTags = [];
+let draggedCategoryIndex = -1; // Category being dragged in the order list
 
 // =====================================================
 // CLOUDINARY UPLOAD
@@ -598,10 +766,13 @@ function openModal(item = null) {
     
     // Populate form
     itemForm.name.value = item.name || "";
-    itemForm.price.value = item.price ?? "";
+    populatePriceFields(item.price);
     itemForm.tags.value = (item.tags || []).join(", ");
     itemForm.description.value = item.description || "";
     itemForm.productLink.value = item.productLink || "";
+    itemForm.availability.value = getAvailabilityMeta(item).value;
+    itemForm.availableFrom.value = item.availableFrom || "";
+    itemForm.availableUntil.value = item.availableUntil || "";
     
     // Handle images - support both old single img and new images array
     if (item.images && Array.isArray(item.images)) {
@@ -630,6 +801,7 @@ function openModal(item = null) {
     itemIdInput.value = "";
     currentImages = [];
     imageDropzone.hidden = false;
+    updatePriceFieldVisibility();
   }
   
   itemModal.classList.add("open");
@@ -725,7 +897,6 @@ function init() {
     try {
       await deleteDoc(doc(db, "items", editingItem.id));
       closeModal();
-      await loadItems();
       // Reset delete button state after successful deletion
       modalDelete.disabled = false;
     } catch (err) {
@@ -749,10 +920,22 @@ function init() {
     modalSubmit.disabled = true;
     
     const payload = buildItemPayload(new FormData(itemForm));
+    const formError = validatePrice(payload.price) ||
+      validateAvailabilityDates(payload) ||
+      validateHoldChange(editingItem, payload.availability, { hasHolder: hasActiveHolder(editingItem) });
+    if (formError) {
+      modalStatus.textContent = formError;
+      modalStatus.hidden = false;
+      modalSubmit.disabled = false;
+      return;
+    }
     
     try {
       if (editingItem) {
-        await updateDoc(doc(db, "items", editingItem.id), payload);
+        await updateDoc(doc(db, "items", editingItem.id), {
+          ...payload,
+          ...clearHoldFields(editingItem, payload.availability),
+        });
         modalStatus.textContent = "✓ Item updated!";
       } else {
         await addDoc(collection(db, "items"), payload);
@@ -760,8 +943,7 @@ function init() {
       }
       modalStatus.hidden = false;
       
-      // Reload items and close after brief delay
-      await loadItems();
+      // The live items listener refreshes the list; close after brief delay
       setTimeout(closeModal, 800);
     } catch (err) {
       console.error("Save failed", err);
@@ -771,12 +953,134 @@ function init() {
     }
   });
 
+  // Bulk selection + actions
+  bulkSelectAll?.addEventListener("change", () => {
+    filteredItems.forEach((item) => {
+      if (bulkSelectAll.checked) {
+        selectedItemIds.add(item.id);
+      } else {
+        selectedItemIds.delete(item.id);
+      }
+    });
+    renderItems();
+    updateBulkBar();
+  });
+  bulkActions?.querySelectorAll("[data-bulk-action]").forEach((btn) => {
+    btn.addEventListener("click", () => handleBulkAction(btn.dataset.bulkAction, btn));
+  });
+
+  // Tag manager modal
+  manageTagsBtn?.addEventListener("click", openTagsModal);
+  tagsModalClose?.addEventListener("click", closeTagsModal);
+  tagsModal?.addEventListener("click", (e) => {
+    if (e.target === tagsModal) closeTagsModal();
+  });
+
+  // Site settings modal
+  siteSettingsBtn?.addEventListener("click", openSiteSettingsModal);
+  siteSettingsModalClose?.addEventListener("click", closeSiteSettingsModal);
+  siteSettingsCancel?.addEventListener("click", closeSiteSettingsModal);
+  siteSettingsModal?.addEventListener("click", (e) => {
+    if (e.target === siteSettingsModal) closeSiteSettingsModal();
+  });
+  siteSettingsForm?.addEventListener("submit", handleSaveSiteSettings);
+  // Preview the generated eyebrow while the field is blank
+  siteSettingsForm?.addEventListener("input", updateEyebrowPlaceholder);
+
+  // Notification preferences modal
+  notificationsBtn?.addEventListener("click", openNotificationsModal);
+  notificationsModalClose?.addEventListener("click", closeNotificationsModal);
+  notificationsCancel?.addEventListener("click", closeNotificationsModal);
+  notificationsModal?.addEventListener("click", (e) => {
+    if (e.target === notificationsModal) closeNotificationsModal();
+  });
+  notificationsForm?.addEventListener("submit", handleSaveNotifications);
+
+  // Category order modal
+  categoryOrderBtn?.addEventListener("click", openCategoriesModal);
+  categoriesModalClose?.addEventListener("click", closeCategoriesModal);
+  categoriesCancel?.addEventListener("click", closeCategoriesModal);
+  categoriesModal?.addEventListener("click", (e) => {
+    if (e.target === categoriesModal) closeCategoriesModal();
+  });
+  categoryAddBtn?.addEventListener("click", () => {
+    if (!categoryAddSelect.value) return;
+    draftCategoryOrder.push(categoryAddSelect.value);
+    renderCategoryOrder();
+  });
+  ignoredAddBtn?.addEventListener("click", () => {
+    if (!ignoredAddSelect.value) return;
+    draftIgnoredTags.push(ignoredAddSelect.value);
+    renderCategoryOrder();
+  });
+  categoriesSave?.addEventListener("click", handleSaveCategoryOrder);
+
+  // CSV/TSV import modal
+  importItemsBtn?.addEventListener("click", openImportModal);
+  importModalClose?.addEventListener("click", closeImportModal);
+  importCancel?.addEventListener("click", closeImportModal);
+  importModal?.addEventListener("click", (e) => {
+    if (e.target === importModal) closeImportModal();
+  });
+  importFileInput?.addEventListener("change", handleImportFile);
+  importSkipDuplicates?.addEventListener("change", renderImportPreview);
+  importSubmit?.addEventListener("click", handleImportSubmit);
+
+  // Export / backup modal
+  backupBtn?.addEventListener("click", openBackupModal);
+  backupModalClose?.addEventListener("click", closeBackupModal);
+  backupModal?.addEventListener("click", (e) => {
+    if (e.target === backupModal) closeBackupModal();
+  });
+  exportItemsCsvBtn?.addEventListener("click", () => {
+    downloadFile(itemsToCsv(items), `${getExportPrefix()}-items.csv`, "text/csv;charset=utf-8");
+  });
+  exportRequestsCsvBtn?.addEventListener("click", () => {
+    downloadFile(requestsToCsv(requests), `${getExportPrefix()}-requests.csv`, "text/csv;charset=utf-8");
+  });
+  exportBackupJsonBtn?.addEventListener("click", () => {
+    downloadFile(buildBackup({ items, requests }), `${getExportPrefix()}-backup.json`, "application/json");
+  });
+  restoreFileInput?.addEventListener("change", handleRestoreFile);
+  restoreSubmit?.addEventListener("click", handleRestoreSubmit);
+
+  // Pickup slots modal
+  manageSlotsBtn?.addEventListener("click", openSlotsModal);
+  slotsModalClose?.addEventListener("click", closeSlotsModal);
+  slotsModal?.addEventListener("click", (e) => {
+    if (e.target === slotsModal) closeSlotsModal();
+  });
+  slotForm?.addEventListener("submit", handleAddSlot);
+  exportPickupsBtn?.addEventListener("click", exportAllPickups);
+
+  // Price type picks which price inputs are shown
+  priceTypeSelect?.addEventListener("change", updatePriceFieldVisibility);
+
+  // One-time conversion of free-form prices
+  priceMigrationBtn?.addEventListener("click", migrateLegacyPrices);
+  
+  // One-time guards for open requests made before guards existed
+  guardBackfillBtn?.addEventListener("click", backfillRequestGuards);
+
   // Search requests
   requestSearch?.addEventListener("input", () => {
     filterTerm = requestSearch.value.toLowerCase();
     renderRequests();
   });
 
+  // Requests view toggle (flat list vs. per-item queues)
+  requestViewToggle?.querySelectorAll("[data-view]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      requestsView = btn.dataset.view;
+      requestViewToggle.querySelectorAll("[data-view]").forEach((other) => {
+        const isActive = other === btn;
+        other.classList.toggle("active", isActive);
+        other.setAttribute("aria-pressed", isActive ? "true" : "false");
+      });
+      renderRequests();
+    });
+  });
+
   // Admin tag filter dropdown toggle
   adminTagFilterDropdownBtn?.addEventListener("click", (e) => {
     e.stopPropagation();
@@ -788,7 +1092,7 @@ function init() {
     }
   });
 
-  // Close dropdown when clicking outside
+  // Close dropdowns when clicking outside
   document.addEventListener("click", (e) => {
     if (adminTagFilterDropdownBtn && adminTagFilterDropdownMenu) {
       if (!adminTagFilterDropdownBtn.contains(e.target) && !adminTagFilterDropdownMenu.contains(e.target)) {
@@ -796,6 +1100,9 @@ function init() {
         adminTagFilterDropdownMenu.hidden = true;
       }
     }
+    if (!e.target.closest(".admin-status-wrapper")) {
+      closeStatusDropdowns();
+    }
   });
 
   // Escape key
@@ -803,6 +1110,22 @@ function init() {
     if (e.key === "Escape") {
       if (itemModal?.classList.contains("open")) {
         closeModal();
+      } else if (slotsModal?.classList.contains("open")) {
+        closeSlotsModal();
+      } else if (tagsModal?.classList.contains("open")) {
+        closeTagsModal();
+      } else if (notificationsModal?.classList.contains("open")) {
+        closeNotificationsModal();
+      } else if (siteSettingsModal?.classList.contains("open")) {
+        closeSiteSettingsModal();
+      } else if (categoriesModal?.classList.contains("open")) {
+        closeCategoriesModal();
+      } else if (importModal?.classList.contains("open")) {
+        closeImportModal();
+      } else if (backupModal?.classList.contains("open")) {
+        closeBackupModal();
+      } else if (requestsList?.querySelector(".admin-status-dropdown:not([hidden])")) {
+        closeStatusDropdowns();
       } else if (mobileMenu?.classList.contains("open")) {
         closeMobileMenu();
       }
@@ -815,7 +1138,13 @@ function init() {
     updateAuthUI();
     
     const isAdmin = await checkIsAdmin(user?.uid);
+    stopUnreadBadges?.();
+    stopUnreadBadges = watchUnreadBadges(user, isAdmin, {
+      profileLinks: [profileLink, profileLinkMobile],
+      adminLinks: [adminLink, adminLinkMobile],
+    });
     if (!user || !isAdmin) {
+      stopLiveUpdates();
       adminMessage.textContent = "Admin access required. Your account must be marked as admin in the database.";
       adminMessage.hidden = false;
       itemsLoading.hidden = true;
@@ -823,7 +1152,10 @@ function init() {
       return;
     }
     adminMessage.hidden = true;
-    await Promise.all([loadItems(), loadRequests()]);
+    loadItems();
+    loadRequests();
+    loadPickupSlots();
+    loadSiteSettings();
   });
 }
 
@@ -854,268 +1186,1427 @@ function updateAuthUI() {
   if (profileLinkMobile) profileLinkMobile.hidden = !currentUser;
 }
 
-function buildItemPayload(formData) {
-  const tags = (formData.get("tags") || "")
-    .split(",")
-    .map((t) => t.trim())
-    .filter(Boolean);
-  const priceValue = (formData.get("price") || "").trim();
-  
-  // Parse images array from JSON string
-  let images = [];
-  const imagesJson = formData.get("images");
-  if (imagesJson) {
+// =====================================================
+// BULK ACTIONS
+// =====================================================
+const BATCH_LIMIT = 400; // Firestore caps a batch at 500 writes
+
+// Reflect the selection in the select-all checkbox and action bar
+// Selected items the current filter shows; bulk actions never touch hidden ones
+function getShownSelection() {
+  return filteredItems.filter((item) => selectedItemIds.has(item.id));
+}
+
+function updateBulkBar() {
+  if (!bulkSelectAll) return;
+  const shownSelected = getShownSelection().length;
+  bulkSelectAll.checked = filteredItems.length > 0 && shownSelected === filteredItems.length;
+  bulkSelectAll.indeterminate = shownSelected > 0 && shownSelected < filteredItems.length;
+  bulkSelectionText.textContent = shownSelected
+    ? `${shownSelected} selected`
+    : `Select all (${filteredItems.length} shown)`;
+  bulkActions.hidden = shownSelected === 0;
+}
+
+// Write in batches. If a batch fails, retry its entries one at a time so
+// the summary can say exactly which ones failed.
+async function runBulkWrite(entries, addToBatch) {
+  const result = { succeeded: [], failed: [] };
+  for (let i = 0; i < entries.length; i += BATCH_LIMIT) {
+    const chunk = entries.slice(i, i + BATCH_LIMIT);
     try {
-      images = JSON.parse(imagesJson);
-    } catch (e) {
-      console.error("Failed to parse images JSON:", e);
+      const batch = writeBatch(db);
+      chunk.forEach((entry) => addToBatch(batch, entry));
+      await batch.commit();
+      result.succeeded.push(...chunk);
+    } catch (err) {
+      console.error("Bulk batch failed, retrying items one by one", err);
+      for (const entry of chunk) {
+        try {
+          const single = writeBatch(db);
+          addToBatch(single, entry);
+          await single.commit();
+          result.succeeded.push(entry);
+        } catch (singleErr) {
+          console.error("Bulk write failed", singleErr);
+          result.failed.push(entry);
+        }
+      }
     }
   }
-  
-  // Determine how to store price
-  let price = null;
-  if (priceValue) {
-    // If exactly "0", store as number 0 (will display as "free")
-    if (priceValue === "0") {
-      price = 0;
+  return result;
+}
+
+// Whether an open request still holds the item (a hold can outlive its
+// request, e.g. one deleted before holders were kept from deleting)
+// Until requests have loaded, assume there is one
+function hasActiveHolder(item) {
+  if (!item) return false;
+  return !hasLoadedRequests || Boolean(getItemQueue(requests, item.id).holder);
+}
+
+// Fields that clear a stale hold along with an availability change
+function clearHoldFields(item, availability) {
+  return getAvailabilityMeta(item).value === "on_hold" && availability !== "on_hold"
+    ? { heldForRequestId: deleteField(), heldAt: deleteField() }
+    : {};
+}
+
+// Work out the update for one item, or null when it needs no change
+function buildBulkUpdate(action, item, value) {
+  const tags = item.tags || [];
+  const hasTag = tags.some((t) => normalizeTag(t) === normalizeTag(value));
+  switch (action) {
+    case "add-tag":
+      return hasTag ? null : { tags: [...tags, value] };
+    case "remove-tag":
+      return hasTag ? { tags: tags.filter((t) => normalizeTag(t) !== normalizeTag(value)) } : null;
+    case "price":
+      return { price: value };
+    case "availability":
+      return getAvailabilityMeta(item).value === value
+        ? null
+        : { availability: value, ...clearHoldFields(item, value) };
+    default:
+      return null;
+  }
+}
+
+function showBulkStatus(text) {
+  bulkStatus.textContent = text;
+  bulkStatus.hidden = false;
+}
+
+async function handleBulkAction(action, btn) {
+  const selected = getShownSelection();
+  if (!selected.length) return;
+
+  // Read and validate the action's input
+  let value = null;
+  if (action === "add-tag" || action === "remove-tag") {
+    value = bulkTagInput.value.trim();
+    if (!value) {
+      showBulkStatus("Type a tag first.");
+      return;
+    }
+  } else if (action === "price") {
+    value = parseLegacyPrice(bulkPriceInput.value.replace(/,/g, ""));
+    const priceError = bulkPriceInput.value.trim() ? validatePrice(value) : "Type a price first.";
+    if (priceError) {
+      showBulkStatus(priceError);
+      return;
+    }
+  } else if (action === "availability") {
+    value = getAvailabilityMeta(bulkAvailabilitySelect.value).value;
+    if (value === "on_hold") {
+      showBulkStatus(validateHoldChange(null, value));
+      return;
+    }
+  } else if (action === "delete") {
+    if (!confirm(`Delete ${selected.length} item(s)? This can't be undone.`)) return;
+  }
+
+  // Held items keep their availability until released from the request queue
+  const held = action === "availability"
+    ? selected.filter((item) => getAvailabilityMeta(item).value === "on_hold" && hasActiveHolder(item))
+    : [];
+  const entries = action === "delete"
+    ? selected.map((item) => ({ item, update: null }))
+    : selected
+        .filter((item) => !held.includes(item))
+        .map((item) => ({ item, update: buildBulkUpdate(action, item, value) }))
+        .filter((entry) => entry.update);
+  const unchanged = selected.length - held.length - entries.length;
+
+  btn.disabled = true;
+  bulkStatus.hidden = true;
+  const { succeeded, failed } = await runBulkWrite(entries, (batch, { item, update }) => {
+    const ref = doc(db, "items", item.id);
+    if (update) {
+      batch.update(ref, update);
     } else {
-      // Store as string (will be formatted based on content)
-      price = priceValue;
+      batch.delete(ref);
     }
+  });
+  btn.disabled = false;
+
+  // Keep only failures selected so they can be retried
+  selected.forEach((item) => selectedItemIds.delete(item.id));
+  failed.forEach(({ item }) => selectedItemIds.add(item.id));
+  updateBulkBar();
+  renderItems();
+
+  const verb = action === "delete" ? "deleted" : "updated";
+  const parts = [`✓ ${succeeded.length} ${verb}`];
+  if (unchanged) parts.push(`${unchanged} already up to date`);
+  if (held.length) parts.push(`${held.length} on hold (release from the Requests queue)`);
+  if (failed.length) {
+    const names = failed.slice(0, 3).map(({ item }) => item.name).join(", ");
+    parts.push(`${failed.length} failed (${names}${failed.length > 3 ? ", …" : ""})`);
   }
-  
-  return {
-    name: formData.get("name") || "",
-    price: price,
-    images: images, // Store as array
-    img: images.length > 0 ? images[0] : "", // Keep img for backward compatibility
-    tags,
-    description: formData.get("description") || "",
-    productLink: formData.get("productLink") || "",
-  };
+  showBulkStatus(parts.join(" • "));
 }
 
 // =====================================================
-// ITEMS
+// TAG MANAGER
 // =====================================================
-// Helper function to normalize tags (lowercase for comparison)
-function normalizeTag(tag) {
-  return tag.toLowerCase().trim();
+function openTagsModal() {
+  tagsStatus.hidden = true;
+  renderTagManager();
+  tagsModal.classList.add("open");
+  document.body.style.overflow = "hidden";
 }
 
-// Helper function to format tags for display (title case)
-function formatTagForDisplay(tag) {
-  return tag
-    .split(/\s+/)
-    .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-    .join(" ");
+function closeTagsModal() {
+  tagsModal.classList.remove("open");
+  document.body.style.overflow = "";
 }
 
-// Extract all unique tags from items
-function extractAllTags(items) {
-  const tagSet = new Set();
+// Every tag (grouped by normalized form) with its item count and spellings
+function getTagStats() {
+  const stats = new Map();
   items.forEach((item) => {
-    if (item.tags && Array.isArray(item.tags)) {
-      item.tags.forEach((tag) => {
-        const normalized = normalizeTag(tag);
-        tagSet.add(normalized);
-      });
-    }
+    (item.tags || []).forEach((tag) => {
+      const normalized = normalizeTag(tag);
+      if (!normalized) return;
+      if (!stats.has(normalized)) {
+        stats.set(normalized, { normalized, itemIds: new Set(), variants: new Set() });
+      }
+      const entry = stats.get(normalized);
+      entry.itemIds.add(item.id);
+      entry.variants.add(tag);
+    });
   });
-  return Array.from(tagSet).sort();
+  return Array.from(stats.values()).sort((a, b) => a.normalized.localeCompare(b.normalized));
 }
 
-// Extract tags with display format for filtering
-function extractTagsForFiltering(items) {
-  const tagMap = new Map();
-  items.forEach((item) => {
-    if (item.tags && Array.isArray(item.tags)) {
-      item.tags.forEach((tag) => {
-        const normalized = normalizeTag(tag);
-        if (!tagMap.has(normalized)) {
-          tagMap.set(normalized, formatTagForDisplay(tag));
-        }
-      });
-    }
+// Replace (or remove, when `to` is null) any of `from` in a tag list,
+// dropping duplicates that the rewrite creates
+function rewriteTags(tags, from, to) {
+  const next = [];
+  const seen = new Set();
+  tags.forEach((tag) => {
+    const replaced = from.has(normalizeTag(tag)) ? to : tag.trim();
+    if (!replaced) return;
+    const key = normalizeTag(replaced);
+    if (seen.has(key)) return;
+    seen.add(key);
+    next.push(replaced);
   });
-  return Array.from(tagMap.entries()).sort((a, b) => 
-    a[1].localeCompare(b[1])
-  );
+  return next;
 }
 
-// Render tag filter dropdown
-function renderAdminTagFilters(tags) {
-  allAvailableTags = tags;
-  if (!adminTagFilterDropdownMenu) return;
-  
-  adminTagFilterDropdownMenu.innerHTML = "";
-  
-  // Ensure dropdown is hidden initially
-  adminTagFilterDropdownMenu.hidden = true;
-  if (adminTagFilterDropdownBtn) {
-    adminTagFilterDropdownBtn.setAttribute("aria-expanded", "false");
+function renderTagManager() {
+  const stats = getTagStats();
+  tagsList.innerHTML = "";
+
+  if (!stats.length) {
+    tagsList.innerHTML = '<p class="admin-muted">No tags yet.</p>';
+    return;
   }
 
-  // Initialize all tags as active by default
-  activeTags.clear();
-  tags.forEach(([normalizedTag]) => {
-    activeTags.add(normalizedTag);
-  });
+  stats.forEach((tag) => {
+    const row = document.createElement("div");
+    row.className = "admin-tag-row";
 
-  tags.forEach(([normalizedTag, displayTag]) => {
-    const label = document.createElement("label");
-    label.className = "tag-filter-option";
-    label.setAttribute("role", "menuitemcheckbox");
-    label.setAttribute("aria-checked", "true");
-    
-    const checkbox = document.createElement("input");
-    checkbox.type = "checkbox";
-    checkbox.className = "tag-filter-checkbox";
-    checkbox.checked = true;
-    checkbox.setAttribute("data-tag", normalizedTag);
-    checkbox.addEventListener("change", () => toggleAdminTagFilter(normalizedTag, checkbox));
-    
-    const span = document.createElement("span");
-    span.className = "tag-filter-label";
-    span.textContent = displayTag;
-    
-    label.appendChild(checkbox);
-    label.appendChild(span);
-    adminTagFilterDropdownMenu.appendChild(label);
-  });
+    const info = document.createElement("div");
+    info.className = "admin-tag-row__info";
+    const variants = Array.from(tag.variants);
+    const count = tag.itemIds.size;
+    info.innerHTML = `
+      <span class="admin-tag-row__name">${escapeHtml(formatTagForDisplay(tag.normalized))}</span>
+      <span class="admin-tag-row__meta">${count} item${count !== 1 ? "s" : ""}${
+        variants.length > 1 ? ` • spelled ${variants.map((v) => `“${escapeHtml(v)}”`).join(", ")}` : ""
+      }</span>
+    `;
 
-  updateAdminFilterButtonText();
-  applyAdminFilters();
+    const actions = document.createElement("div");
+    actions.className = "admin-tag-row__actions";
+
+    // Rename
+    const renameInput = document.createElement("input");
+    renameInput.type = "text";
+    renameInput.className = "admin-bulk-bar__input";
+    renameInput.value = variants[0].trim();
+    renameInput.setAttribute("aria-label", `New name for ${tag.normalized}`);
+    const renameBtn = document.createElement("button");
+    renameBtn.type = "button";
+    renameBtn.className = "admin-btn admin-btn--secondary admin-btn--sm";
+    renameBtn.textContent = "Rename";
+    renameBtn.addEventListener("click", () => handleRenameTag(tag, renameInput.value, renameBtn));
+
+    // Merge into another tag
+    const mergeSelect = document.createElement("select");
+    mergeSelect.className = "admin-bulk-bar__input";
+    mergeSelect.setAttribute("aria-label", `Merge ${tag.normalized} into`);
+    mergeSelect.appendChild(new Option("Merge into…", ""));
+    stats
+      .filter((other) => other.normalized !== tag.normalized)
+      .forEach((other) => mergeSelect.appendChild(new Option(formatTagForDisplay(other.normalized), other.normalized)));
+    const mergeBtn = document.createElement("button");
+    mergeBtn.type = "button";
+    mergeBtn.className = "admin-btn admin-btn--secondary admin-btn--sm";
+    mergeBtn.textContent = "Merge";
+    mergeBtn.addEventListener("click", () => {
+      const target = stats.find((other) => other.normalized === mergeSelect.value);
+      if (target) handleMergeTag(tag, target, mergeBtn);
+    });
+
+    // Delete
+    const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
+    deleteBtn.className = "admin-request-card__delete";
+    deleteBtn.setAttribute("aria-label", `Delete tag ${tag.normalized}`);
+    deleteBtn.innerHTML = '<i class="fas fa-trash" aria-hidden="true"></i>';
+    deleteBtn.addEventListener("click", () => handleDeleteTag(tag, deleteBtn));
+
+    actions.append(renameInput, renameBtn, mergeSelect, mergeBtn, deleteBtn);
+    row.appendChild(info);
+    row.appendChild(actions);
+    tagsList.appendChild(row);
+  });
 }
 
-function toggleAdminTagFilter(tag, checkbox) {
-  if (checkbox.checked) {
-    activeTags.add(tag);
-  } else {
-    activeTags.delete(tag);
-  }
-  
-  const label = checkbox.closest(".tag-filter-option");
-  if (label) {
-    label.setAttribute("aria-checked", checkbox.checked ? "true" : "false");
-  }
-  
-  updateAdminFilterButtonText();
-  applyAdminFilters();
+// The category order and ignored tags with a tag rewritten the same way as on items
+function buildCategorySettingsRewrite(from, to) {
+  const rewriteList = (list) => rewriteTags(list, from, to ? normalizeTag(to) : null);
+  const categoryOrder = rewriteList(siteSettings.categoryOrder);
+  const ignoredTags = rewriteList(siteSettings.ignoredTags);
+  const changed = categoryOrder.join("\n") !== siteSettings.categoryOrder.join("\n") ||
+    ignoredTags.join("\n") !== siteSettings.ignoredTags.join("\n");
+  return changed ? { categoryOrder, ignoredTags, updatedAt: serverTimestamp() } : null;
 }
 
-function updateAdminFilterButtonText() {
-  if (!adminTagFilterDropdownText) return;
-  const totalTags = allAvailableTags.length;
-  const activeCount = activeTags.size;
-  
-  if (activeCount === 0) {
-    adminTagFilterDropdownText.textContent = "No Tags Selected";
-  } else if (activeCount === totalTags) {
-    adminTagFilterDropdownText.textContent = "All Tags";
-  } else {
-    adminTagFilterDropdownText.textContent = `${activeCount} of ${totalTags} Tags`;
-  }
+// Rewrite a tag on every item that has it (and in the category settings, so a
+// renamed category keeps its rank) and report the outcome
+async function applyTagRewrite(tag, to, btn, verb) {
+  const from = new Set([tag.normalized]);
+  const entries = items
+    .filter((item) => tag.itemIds.has(item.id))
+    .map((item) => ({ item, tags: rewriteTags(item.tags || [], from, to) }));
+  const settings = buildCategorySettingsRewrite(from, to);
+  if (settings) entries.unshift({ settings });
+
+  btn.disabled = true;
+  tagsStatus.hidden = true;
+  const result = await runBulkWrite(entries, (batch, entry) => {
+    if (entry.settings) {
+      saveSiteSettingsInBatch(batch, entry.settings);
+    } else {
+      batch.update(doc(db, "items", entry.item.id), { tags: entry.tags });
+    }
+  });
+  btn.disabled = false;
+
+  const succeeded = result.succeeded.filter((entry) => entry.item);
+  const failed = result.failed.filter((entry) => entry.item);
+  const settingsFailed = result.failed.some((entry) => entry.settings);
+  tagsStatus.textContent = settingsFailed
+    ? `${verb} on ${succeeded.length} item(s), but the category order couldn't be updated. Update it from Category Order.`
+    : failed.length
+    ? `${verb} on ${succeeded.length} item(s); ${failed.length} failed. Try again to finish.`
+    : `✓ ${verb} on ${succeeded.length} item${succeeded.length !== 1 ? "s" : ""}.`;
+  tagsStatus.hidden = false;
 }
 
-function applyAdminFilters() {
-  // If all tags are active, show all items
-  // If no tags are active, show nothing
-  // Otherwise, filter by active tags
-  if (allAvailableTags.length === 0) {
-    // No tags available, show all items
-    filteredItems = [...items];
-  } else if (activeTags.size === allAvailableTags.length) {
-    // All tags selected, show all items
-    filteredItems = [...items];
-  } else if (activeTags.size === 0) {
-    // No tags selected, show nothing
-    filteredItems = [];
-  } else {
-    // Some tags selected, filter items that have at least one of the active tags
-    filteredItems = items.filter((item) => {
-      if (!item.tags || !Array.isArray(item.tags) || item.tags.length === 0) {
-        return false; // Items without tags don't match any filter
-      }
-      // Check if item has at least one tag that matches an active tag
-      return item.tags.some((tag) => {
-        const normalized = normalizeTag(tag);
-        return activeTags.has(normalized);
-      });
-    });
+function handleRenameTag(tag, newName, btn) {
+  const name = newName.trim();
+  if (!name) {
+    tagsStatus.textContent = "Type a new name first.";
+    tagsStatus.hidden = false;
+    return;
   }
-  
-  renderItems();
-  updateItemCounter();
+  // Renaming onto an existing tag is a merge; make that explicit
+  const existing = normalizeTag(name);
+  if (existing !== tag.normalized && getTagStats().some((t) => t.normalized === existing)) {
+    if (!confirm(`"${name}" already exists. Merge "${tag.normalized}" into it?`)) return;
+  }
+  applyTagRewrite(tag, name, btn, "Renamed");
 }
 
-function updateItemCounter() {
-  const total = items.length;
-  const subtitle = document.getElementById("admin-items-subtitle");
-  
-  // Update subtitle with total items
-  if (subtitle) {
-    subtitle.textContent = `${total} total item${total !== 1 ? 's' : ''} on the site`;
-  }
+function handleMergeTag(tag, target, btn) {
+  const targetName = Array.from(target.variants)[0].trim();
+  if (!confirm(`Merge "${tag.normalized}" (${tag.itemIds.size} item(s)) into "${targetName}"?`)) return;
+  applyTagRewrite(tag, targetName, btn, "Merged");
 }
 
-async function loadItems() {
-  itemsLoading.hidden = false;
-  itemsEmpty.hidden = true;
-  
-  try {
-    const q = query(collection(db, "items"), orderBy("name"));
-    const snap = await getDocs(q);
-    items = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-    
-    // Extract all existing tags for autocomplete
-    allExistingTags = extractAllTags(items);
-    
-    // Extract tags for filtering and render filter dropdown
-    const tagsForFiltering = extractTagsForFiltering(items);
-    renderAdminTagFilters(tagsForFiltering);
-    
-    // applyAdminFilters() is called by renderAdminTagFilters, which will render items
-  } catch (err) {
-    console.error("Failed to load items", err);
-    itemsList.innerHTML = '<p class="admin-error">Error loading items.</p>';
-  } finally {
-    itemsLoading.hidden = true;
-  }
+function handleDeleteTag(tag, btn) {
+  if (!confirm(`Remove the tag "${tag.normalized}" from ${tag.itemIds.size} item(s)?`)) return;
+  applyTagRewrite(tag, null, btn, "Removed");
 }
 
-function formatPrice(price) {
-  if (price === null || price === undefined) return "No price";
-  
-  // If price is 0 (number), display as "free"
-  if (price === 0) {
-    return "Free";
-  }
+// =====================================================
+// SITE SETTINGS
+// =====================================================
+function loadSiteSettings() {
+  unsubscribeSiteSettings?.();
+  unsubscribeSiteSettings = subscribeToSiteSettings((settings) => {
+    siteSettings = settings;
+  });
+}
+
+function openSiteSettingsModal() {
+  const form = siteSettingsForm.elements;
+  ["heroTitle", "heroTitleAccent", "heroEyebrow", "heroDescription", "metaDescription", "moveDate"].forEach(
+    (name) => {
+      form[name].value = siteSettings[name] || "";
+    }
+  );
+  ["origin", "destination"].forEach((key) => {
+    form[`${key}Name`].value = siteSettings[key].name;
+    form[`${key}Lat`].value = siteSettings[key].lat;
+    form[`${key}Lng`].value = siteSettings[key].lng;
+  });
+  updateEyebrowPlaceholder();
+  siteSettingsStatus.hidden = true;
+  siteSettingsModal.classList.add("open");
+  document.body.style.overflow = "hidden";
+}
+
+function closeSiteSettingsModal() {
+  siteSettingsModal.classList.remove("open");
+  document.body.style.overflow = "";
+}
+
+function readSiteSettingsForm() {
+  const form = siteSettingsForm.elements;
+  const readPlace = (key) => ({
+    name: form[`${key}Name`].value.trim(),
+    lat: parseFloat(form[`${key}Lat`].value),
+    lng: parseFloat(form[`${key}Lng`].value),
+  });
+  return {
+    heroTitle: form.heroTitle.value.trim(),
+    heroTitleAccent: form.heroTitleAccent.value.trim(),
+    heroEyebrow: form.heroEyebrow.value.trim(),
+    heroDescription: form.heroDescription.value.trim(),
+    metaDescription: form.metaDescription.value.trim(),
+    origin: readPlace("origin"),
+    destination: readPlace("destination"),
+    moveDate: form.moveDate.value,
+  };
+}
+
+function updateEyebrowPlaceholder() {
+  const fields = readSiteSettingsForm();
+  siteSettingsEyebrow.placeholder = getHeroEyebrow({ ...fields, heroEyebrow: "" });
+}
+
+async function handleSaveSiteSettings(e) {
+  e.preventDefault();
+  const fields = readSiteSettingsForm();
+  const error = validateHeroSettings(fields);
+  if (error) {
+    siteSettingsStatus.textContent = error;
+    siteSettingsStatus.hidden = false;
+    return;
+  }
+
+  siteSettingsSubmit.disabled = true;
+  siteSettingsStatus.hidden = true;
+  try {
+    await saveSiteSettings({ ...fields, updatedAt: serverTimestamp() });
+    siteSettingsStatus.textContent = "✓ Saved. Open storefront pages update right away; a new route shows on the globe after a reload.";
+  } catch (err) {
+    console.error("Error saving site settings", err);
+    siteSettingsStatus.textContent = "Error saving settings. Please try again.";
+  }
+  siteSettingsStatus.hidden = false;
+  siteSettingsSubmit.disabled = false;
+}
+
+// =====================================================
+// NOTIFICATIONS
+// =====================================================
+// Tell opted-in admins and the requester (by push) about a status change
+// this admin just made
+function notifyStatusChange(request, status) {
+  const previousStatus = getStatusMeta(request.status).value;
+  if (previousStatus === status) return;
+  notifyRequestEvent(NOTIFY_EVENTS.STATUS_CHANGED, { ...request, status }, {
+    previousStatus,
+    actorId: currentUser?.uid,
+  });
+  pushToRequester(PUSH_EVENTS.STATUS_CHANGED, { ...request, status });
+}
+
+async function openNotificationsModal() {
+  if (!currentUser) return;
+  const form = notificationsForm.elements;
+  notificationsStatus.hidden = true;
+  notificationsSubmit.disabled = true;
+  notificationsModal.classList.add("open");
+  document.body.style.overflow = "hidden";
+
+  try {
+    const prefs = (await getNotificationPreferences(currentUser.uid)) || {};
+    form.email.value = prefs.email || currentUser.email || "";
+    form[NOTIFY_EVENTS.REQUEST_CREATED].checked = Boolean(prefs[NOTIFY_EVENTS.REQUEST_CREATED]);
+    form[NOTIFY_EVENTS.STATUS_CHANGED].checked = Boolean(prefs[NOTIFY_EVENTS.STATUS_CHANGED]);
+    notificationsSubmit.disabled = false;
+  } catch (err) {
+    console.error("Error loading notification preferences", err);
+    notificationsStatus.textContent = "Error loading your preferences.";
+    notificationsStatus.hidden = false;
+  }
+}
+
+function closeNotificationsModal() {
+  notificationsModal.classList.remove("open");
+  document.body.style.overflow = "";
+}
+
+async function handleSaveNotifications(e) {
+  e.preventDefault();
+  const form = notificationsForm.elements;
+  const notifications = {
+    email: form.email.value.trim(),
+    [NOTIFY_EVENTS.REQUEST_CREATED]: form[NOTIFY_EVENTS.REQUEST_CREATED].checked,
+    [NOTIFY_EVENTS.STATUS_CHANGED]: form[NOTIFY_EVENTS.STATUS_CHANGED].checked,
+  };
+  const wantsAny = notifications[NOTIFY_EVENTS.REQUEST_CREATED] || notifications[NOTIFY_EVENTS.STATUS_CHANGED];
+  if (wantsAny && !notifications.email) {
+    notificationsStatus.textContent = "Add an email address to receive notifications.";
+    notificationsStatus.hidden = false;
+    return;
+  }
+
+  notificationsSubmit.disabled = true;
+  notificationsStatus.hidden = true;
+  try {
+    await saveNotificationPreferences(currentUser.uid, notifications);
+    notificationsStatus.textContent = "✓ Preferences saved.";
+  } catch (err) {
+    console.error("Error saving notification preferences", err);
+    notificationsStatus.textContent = "Error saving preferences. Please try again.";
+  }
+  notificationsStatus.hidden = false;
+  notificationsSubmit.disabled = false;
+}
+
+// =====================================================
+// CATEGORY ORDER
+// =====================================================
+function openCategoriesModal() {
+  draftCategoryOrder = [...siteSettings.categoryOrder];
+  draftIgnoredTags = [...siteSettings.ignoredTags];
+  categoriesStatus.hidden = true;
+  renderCategoryOrder();
+  categoriesModal.classList.add("open");
+  document.body.style.overflow = "hidden";
+}
+
+function closeCategoriesModal() {
+  categoriesModal.classList.remove("open");
+  document.body.style.overflow = "";
+}
+
+// Fill an "add" select with tags that aren't in either list yet
+function fillTagSelect(select, placeholder) {
+  const used = new Set([...draftCategoryOrder, ...draftIgnoredTags]);
+  const options = new Set(getTagStats().map((tag) => tag.normalized));
+  options.add("misc"); // Catch-all rank for items without a ranked tag
+  select.innerHTML = "";
+  select.appendChild(new Option(placeholder, ""));
+  Array.from(options)
+    .filter((tag) => !used.has(tag))
+    .sort()
+    .forEach((tag) => select.appendChild(new Option(formatTagForDisplay(tag), tag)));
+}
+
+function moveCategory(from, to) {
+  if (to < 0 || to >= draftCategoryOrder.length || from === to) return;
+  const [tag] = draftCategoryOrder.splice(from, 1);
+  draftCategoryOrder.splice(to, 0, tag);
+  renderCategoryOrder();
+}
+
+function renderCategoryOrder() {
+  categoryOrderList.innerHTML = "";
+  if (!draftCategoryOrder.length) {
+    categoryOrderList.innerHTML = '<li class="admin-muted">No ranked categories. Items keep their default order.</li>';
+  }
+
+  draftCategoryOrder.forEach((tag, index) => {
+    const row = document.createElement("li");
+    row.className = "admin-category-row";
+    row.draggable = true;
+    row.innerHTML = `
+      <i class="fas fa-grip-vertical admin-category-row__handle" aria-hidden="true"></i>
+      <span class="admin-category-row__rank">${index + 1}</span>
+      <span class="admin-category-row__name">${escapeHtml(formatTagForDisplay(tag))}</span>
+    `;
+
+    // Drag and drop
+    row.addEventListener("dragstart", (e) => {
+      draggedCategoryIndex = index;
+      e.dataTransfer.effectAllowed = "move";
+      row.classList.add("is-dragging");
+    });
+    row.addEventListener("dragend", () => {
+      draggedCategoryIndex = -1;
+      row.classList.remove("is-dragging");
+    });
+    row.addEventListener("dragover", (e) => {
+      if (draggedCategoryIndex === -1) return;
+      e.preventDefault();
+      row.classList.add("is-drop-target");
+    });
+    row.addEventListener("dragleave", () => row.classList.remove("is-drop-target"));
+    row.addEventListener("drop", (e) => {
+      e.preventDefault();
+      moveCategory(draggedCategoryIndex, index);
+    });
+
+    // Buttons for keyboard users
+    const actions = document.createElement("div");
+    actions.className = "admin-tag-row__actions";
+    [
+      ["fa-arrow-up", `Move ${tag} up`, () => moveCategory(index, index - 1), index === 0],
+      ["fa-arrow-down", `Move ${tag} down`, () => moveCategory(index, index + 1), index === draftCategoryOrder.length - 1],
+      ["fa-times", `Remove ${tag}`, () => {
+        draftCategoryOrder.splice(index, 1);
+        renderCategoryOrder();
+      }, false],
+    ].forEach(([icon, label, onClick, disabled]) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "admin-category-row__btn";
+      btn.setAttribute("aria-label", label);
+      btn.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i>`;
+      btn.disabled = disabled;
+      btn.addEventListener("click", onClick);
+      actions.appendChild(btn);
+    });
+    row.appendChild(actions);
+    categoryOrderList.appendChild(row);
+  });
+
+  ignoredTagsList.innerHTML = "";
+  if (!draftIgnoredTags.length) {
+    ignoredTagsList.innerHTML = '<span class="admin-muted">None</span>';
+  }
+  draftIgnoredTags.forEach((tag, index) => {
+    const chip = document.createElement("span");
+    chip.className = "admin-category-chip";
+    chip.textContent = formatTagForDisplay(tag);
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "admin-category-chip__remove";
+    removeBtn.setAttribute("aria-label", `Stop ignoring ${tag}`);
+    removeBtn.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+    removeBtn.addEventListener("click", () => {
+      draftIgnoredTags.splice(index, 1);
+      renderCategoryOrder();
+    });
+    chip.appendChild(removeBtn);
+    ignoredTagsList.appendChild(chip);
+  });
+
+  fillTagSelect(categoryAddSelect, "Rank a tag…");
+  fillTagSelect(ignoredAddSelect, "Ignore a tag…");
+}
+
+async function handleSaveCategoryOrder() {
+  categoriesSave.disabled = true;
+  categoriesStatus.hidden = true;
+  try {
+    await saveSiteSettings({
+      categoryOrder: draftCategoryOrder,
+      ignoredTags: draftIgnoredTags,
+      updatedAt: serverTimestamp(),
+    });
+    categoriesStatus.textContent = "✓ Saved. The storefront picks up the new order right away.";
+  } catch (err) {
+    console.error("Error saving category order", err);
+    categoriesStatus.textContent = "Error saving the order. Please try again.";
+  }
+  categoriesStatus.hidden = false;
+  categoriesSave.disabled = false;
+}
+
+// =====================================================
+// CSV IMPORT
+// =====================================================
+function openImportModal() {
+  resetImport();
+  importModal.classList.add("open");
+  document.body.style.overflow = "hidden";
+}
+
+function closeImportModal() {
+  importModal.classList.remove("open");
+  document.body.style.overflow = "";
+  resetImport();
+}
+
+function resetImport() {
+  importTable = null;
+  if (importFileInput) importFileInput.value = "";
+  importMapping.hidden = true;
+  importMapping.innerHTML = "";
+  importPreview.hidden = true;
+  importPreview.innerHTML = "";
+  importSkipDuplicatesLabel.hidden = true;
+  importStatus.hidden = true;
+  importSubmit.disabled = true;
+  importSubmitText.textContent = "Import";
+}
+
+async function handleImportFile() {
+  const file = importFileInput.files?.[0];
+  if (!file) return;
+
+  importStatus.hidden = true;
+  try {
+    const [headers, ...rows] = parseDelimited(await file.text());
+    if (!headers || !rows.length) {
+      throw new Error("The file needs a header row and at least one item.");
+    }
+    importTable = { headers, rows, mapping: guessColumnMapping(headers) };
+    renderImportMapping();
+    renderImportPreview();
+  } catch (err) {
+    console.error("Import parse failed", err);
+    resetImport();
+    importStatus.textContent = err.message || "Couldn't read that file.";
+    importStatus.hidden = false;
+  }
+}
+
+// One select per field so admins can fix columns we guessed wrong
+function renderImportMapping() {
+  importMapping.innerHTML = "";
+  IMPORT_FIELDS.forEach((field) => {
+    const label = document.createElement("label");
+    label.className = "admin-field";
+    label.innerHTML = `<span class="admin-field__label">${field.label}${field.required ? " *" : ""}</span>`;
+
+    const select = document.createElement("select");
+    select.appendChild(new Option("— Not in file —", "-1"));
+    importTable.headers.forEach((header, index) => {
+      select.appendChild(new Option(header || `Column ${index + 1}`, String(index)));
+    });
+    select.value = String(importTable.mapping[field.key]);
+    select.addEventListener("change", () => {
+      importTable.mapping[field.key] = parseInt(select.value, 10);
+      renderImportPreview();
+    });
+
+    label.appendChild(select);
+    importMapping.appendChild(label);
+  });
+  importMapping.hidden = false;
+}
+
+// Rows that will actually be written with the current options
+function getImportableRows(parsedRows) {
+  return parsedRows.filter(
+    (row) => !row.errors.length && !(row.duplicateOf && importSkipDuplicates.checked)
+  );
+}
+
+function renderImportPreview() {
+  if (!importTable) return;
+
+  const parsedRows = buildImportRows(importTable.rows, importTable.mapping, items);
+  const importable = getImportableRows(parsedRows);
+  const errorCount = parsedRows.filter((row) => row.errors.length).length;
+  const duplicateCount = parsedRows.filter((row) => row.duplicateOf).length;
+
+  importSkipDuplicatesLabel.hidden = duplicateCount === 0;
+
+  const summary = document.createElement("p");
+  summary.className = "admin-import-summary";
+  summary.textContent = `${parsedRows.length} row${parsedRows.length !== 1 ? "s" : ""} • ${importable.length} ready to import` +
+    (errorCount ? ` • ${errorCount} with errors` : "") +
+    (duplicateCount ? ` • ${duplicateCount} possible duplicate${duplicateCount !== 1 ? "s" : ""}` : "");
+
+  const table = document.createElement("table");
+  table.className = "admin-import-table";
+  table.innerHTML = `
+    <thead>
+      <tr><th>Row</th><th>Name</th><th>Price</th><th>Tags</th><th>Issues</th></tr>
+    </thead>
+  `;
+  const tbody = document.createElement("tbody");
+  parsedRows.forEach((row) => {
+    const tr = document.createElement("tr");
+    if (row.errors.length) {
+      tr.className = "admin-import-row--error";
+    } else if (row.duplicateOf) {
+      tr.className = "admin-import-row--duplicate";
+    }
+    const issues = [...row.errors, row.duplicateOf].filter(Boolean);
+    tr.innerHTML = `
+      <td>${row.rowNumber}</td>
+      <td>${escapeHtml(row.payload.name) || "—"}</td>
+      <td>${escapeHtml(formatPrice(row.payload.price))}</td>
+      <td>${escapeHtml(row.payload.tags.join(", ")) || "—"}</td>
+      <td>${issues.length ? escapeHtml(issues.join("; ")) : '<i class="fas fa-check" aria-label="OK"></i>'}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+
+  importPreview.innerHTML = "";
+  importPreview.appendChild(summary);
+  importPreview.appendChild(table);
+  importPreview.hidden = false;
+
+  importSubmit.disabled = importable.length === 0;
+  importSubmitText.textContent = `Import ${importable.length} item${importable.length !== 1 ? "s" : ""}`;
+}
+
+async function handleImportSubmit() {
+  if (!importTable) return;
+  const importable = getImportableRows(
+    buildImportRows(importTable.rows, importTable.mapping, items)
+  );
+  if (!importable.length) return;
+
+  importSubmit.disabled = true;
+  importStatus.hidden = true;
+  // Ids are picked up front so a retried row keeps the same document
+  const entries = importable.map((row) => ({ ref: doc(collection(db, "items")), row }));
+  const { succeeded, failed } = await runBulkWrite(entries, (batch, { ref, row }) => {
+    batch.set(ref, row.payload);
+  });
+  importStatus.hidden = false;
+  if (!failed.length) {
+    importStatus.textContent = `✓ Imported ${succeeded.length} item${succeeded.length !== 1 ? "s" : ""}!`;
+    // The live items listener shows the new rows; close after a brief delay
+    setTimeout(closeImportModal, 1200);
+    return;
+  }
+  // Imported rows count as duplicates next time, so importing again retries only the failures
+  const names = failed.slice(0, 3).map(({ row }) => row.payload.name).join(", ");
+  importStatus.textContent =
+    `Imported ${succeeded.length} of ${entries.length}. ${failed.length} failed (${names}${failed.length > 3 ? ", …" : ""}). Import again to retry them.`;
+  importSubmit.disabled = false;
+}
+
+// =====================================================
+// EXPORT / BACKUP
+// =====================================================
+const RESTORE_HINT = "Items are restored with their original ids and image URLs. Items that still exist are overwritten; requests are not changed.";
+
+function openBackupModal() {
+  resetRestore();
+  backupModal.classList.add("open");
+  document.body.style.overflow = "hidden";
+}
+
+function closeBackupModal() {
+  backupModal.classList.remove("open");
+  document.body.style.overflow = "";
+  resetRestore();
+}
+
+function resetRestore() {
+  restoreItems = null;
+  if (restoreFileInput) restoreFileInput.value = "";
+  restoreSummary.textContent = RESTORE_HINT;
+  restoreSubmit.disabled = true;
+  restoreSubmitText.textContent = "Restore";
+  backupStatus.hidden = true;
+}
+
+// e.g. "moving-sale-2025-03-02"
+function getExportPrefix() {
+  return `moving-sale-${new Date().toISOString().slice(0, 10)}`;
+}
+
+async function handleRestoreFile() {
+  const file = restoreFileInput.files?.[0];
+  if (!file) return;
+
+  backupStatus.hidden = true;
+  try {
+    restoreItems = parseBackupItems(await file.text());
+    const existingIds = new Set(items.map((item) => item.id));
+    const overwriteCount = restoreItems.filter(({ id }) => existingIds.has(id)).length;
+    restoreSummary.textContent = `${restoreItems.length} item${restoreItems.length !== 1 ? "s" : ""} in this backup` +
+      ` • ${restoreItems.length - overwriteCount} to re-create • ${overwriteCount} to overwrite`;
+    restoreSubmit.disabled = restoreItems.length === 0;
+    restoreSubmitText.textContent = `Restore ${restoreItems.length} item${restoreItems.length !== 1 ? "s" : ""}`;
+  } catch (err) {
+    console.error("Restore parse failed", err);
+    resetRestore();
+    backupStatus.textContent = err.message;
+    backupStatus.hidden = false;
+  }
+}
+
+async function handleRestoreSubmit() {
+  if (!restoreItems?.length) return;
+  if (!confirm(`Restore ${restoreItems.length} item(s) from this backup? Items with the same id will be overwritten.`)) return;
+
+  restoreSubmit.disabled = true;
+  const { succeeded, failed } = await runBulkWrite(restoreItems, (batch, { id, data }) => {
+    batch.set(doc(db, "items", id), data);
+  });
+  backupStatus.hidden = false;
+  if (!failed.length) {
+    backupStatus.textContent = `✓ Restored ${succeeded.length} item${succeeded.length !== 1 ? "s" : ""}!`;
+    restoreItems = null;
+    restoreFileInput.value = "";
+    restoreSubmitText.textContent = "Restore";
+    return;
+  }
+  // Keep only the failures so pressing Restore again retries them
+  const names = failed.slice(0, 3).map(({ data }) => data.name).join(", ");
+  backupStatus.textContent =
+    `Restored ${succeeded.length} of ${restoreItems.length}. ${failed.length} failed (${names}${failed.length > 3 ? ", …" : ""}).`;
+  restoreItems = failed;
+  restoreSubmitText.textContent = `Retry ${failed.length} item${failed.length !== 1 ? "s" : ""}`;
+  restoreSubmit.disabled = false;
+}
+
+// =====================================================
+// PICKUP SLOTS
+// =====================================================
+function loadPickupSlots() {
+  unsubscribePickupSlots?.();
+  unsubscribePickupSlots = subscribeToPickupSlots(
+    (slots) => {
+      pickupSlots = slots;
+      renderSlots();
+    },
+    () => {
+      slotsList.innerHTML = '<p class="admin-error">Error loading pickup slots.</p>';
+    }
+  );
+}
+
+function openSlotsModal() {
+  slotStatus.hidden = true;
+  renderSlots();
+  slotsModal.classList.add("open");
+  document.body.style.overflow = "hidden";
+}
+
+function closeSlotsModal() {
+  slotsModal.classList.remove("open");
+  document.body.style.overflow = "";
+  slotForm.reset();
+}
+
+// List upcoming slots first, then past ones, with how full each one is
+function renderSlots() {
+  if (!slotsList) return;
+  slotsList.innerHTML = "";
+
+  if (!pickupSlots.length) {
+    slotsList.innerHTML = '<p class="admin-muted">No pickup slots yet. Add one below.</p>';
+    return;
+  }
+
+  const upcoming = pickupSlots.filter((slot) => isUpcoming(slot));
+  const past = pickupSlots.filter((slot) => !isUpcoming(slot));
+
+  [...upcoming, ...past].forEach((slot) => {
+    const row = document.createElement("div");
+    row.className = "admin-slot-row";
+    row.dataset.docId = slot.id;
+    if (!isUpcoming(slot)) row.classList.add("admin-slot-row--past");
+
+    const booked = slot.bookedCount || 0;
+    const info = document.createElement("div");
+    info.className = "admin-slot-row__info";
+    info.innerHTML = `
+      <span class="admin-slot-row__time">${escapeHtml(formatSlot(slot))}</span>
+      <span class="admin-slot-row__capacity${booked >= slot.capacity ? " admin-slot-row__capacity--full" : ""}">
+        ${booked} / ${slot.capacity} booked
+      </span>
+    `;
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
+    deleteBtn.className = "admin-request-card__delete";
+    deleteBtn.setAttribute("aria-label", `Delete pickup slot ${formatSlot(slot)}`);
+    deleteBtn.innerHTML = '<i class="fas fa-trash" aria-hidden="true"></i>';
+    deleteBtn.addEventListener("click", () => handleDeleteSlot(slot, deleteBtn));
+
+    row.appendChild(info);
+    row.appendChild(deleteBtn);
+    slotsList.appendChild(row);
+  });
+}
+
+async function handleAddSlot(e) {
+  e.preventDefault();
+  const formData = new FormData(slotForm);
+  const date = formData.get("date");
+  const start = new Date(`${date}T${formData.get("startTime")}`);
+  const end = new Date(`${date}T${formData.get("endTime")}`);
+  const capacity = parseInt(formData.get("capacity"), 10);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+    slotStatus.textContent = "The end time must be after the start time.";
+    slotStatus.hidden = false;
+    return;
+  }
+  if (!capacity || capacity < 1) {
+    slotStatus.textContent = "Capacity must be at least 1.";
+    slotStatus.hidden = false;
+    return;
+  }
+
+  slotSubmit.disabled = true;
+  try {
+    await addDoc(collection(db, "pickupSlots"), {
+      start: Timestamp.fromDate(start),
+      end: Timestamp.fromDate(end),
+      capacity,
+      bookedCount: 0,
+      createdAt: serverTimestamp(),
+    });
+    slotStatus.textContent = "✓ Slot added!";
+    slotStatus.hidden = false;
+    slotForm.reset();
+  } catch (err) {
+    console.error("Failed to add pickup slot", err);
+    slotStatus.textContent = "Error adding slot.";
+    slotStatus.hidden = false;
+  } finally {
+    slotSubmit.disabled = false;
+  }
+}
+
+// Delete a slot and clear it from any requests that booked it
+async function handleDeleteSlot(slot, deleteBtn) {
+  const bookings = requests.filter((r) => r.pickupSlotId === slot.id);
+  const message = bookings.length
+    ? `${bookings.length} request(s) booked ${formatSlot(slot)}. Delete the slot and unschedule them?`
+    : `Delete the pickup slot ${formatSlot(slot)}?`;
+  if (!confirm(message)) return;
+
+  deleteBtn.disabled = true;
+  try {
+    const batch = writeBatch(db);
+    bookings.forEach((r) => {
+      batch.update(doc(db, "requests", r.id), {
+        pickupSlotId: deleteField(),
+        pickupSlot: deleteField(),
+      });
+    });
+    batch.delete(doc(db, "pickupSlots", slot.id));
+    await batch.commit();
+  } catch (err) {
+    console.error("Failed to delete pickup slot", err);
+    alert("Error deleting slot. Please try again.");
+    deleteBtn.disabled = false;
+  }
+}
+
+// =====================================================
+// CALENDAR EXPORT
+// =====================================================
+function getItemsById() {
+  return new Map(items.map((item) => [item.id, item]));
+}
+
+// Download a single pickup as an .ics event
+function createCalendarButton(request) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "admin-calendar-btn";
+  btn.innerHTML = '<i class="fas fa-calendar-plus" aria-hidden="true"></i><span>.ics</span>';
+  btn.setAttribute("aria-label", `Download calendar event for ${request.contactName || "this"} pickup`);
+  btn.addEventListener("click", () => {
+    const calendar = buildPickupCalendar([request], getItemsById());
+    downloadCalendar(calendar, `pickup-${request.itemName || "item"}-${request.contactName || request.id}`);
+  });
+  return btn;
+}
+
+// Download every confirmed pickup as one feed file
+function exportAllPickups() {
+  const confirmed = requests.filter(hasConfirmedPickup);
+  if (!confirmed.length) {
+    alert("There are no confirmed pickups to export yet.");
+    return;
+  }
+  const calendar = buildPickupCalendar(confirmed, getItemsById(), "Moving Sale Pickups");
+  downloadCalendar(calendar, "moving-sale-pickups");
+}
+
+// =====================================================
+// PRICE FIELDS
+// =====================================================
+function buildPriceFromForm(formData) {
+  return buildPrice({
+    type: formData.get("priceType") || "",
+    amount: formData.get("priceAmount"),
+    min: formData.get("priceMin"),
+    max: formData.get("priceMax"),
+    negotiable: formData.get("priceNegotiable") === "on",
+    note: formData.get("priceNote") || "",
+  });
+}
+
+// Fill the price inputs from a stored price (old string prices are parsed)
+function populatePriceFields(storedPrice) {
+  const price = normalizePrice(storedPrice);
+  itemForm.priceType.value = price?.type || "";
+  itemForm.priceAmount.value = price?.amount ?? "";
+  itemForm.priceMin.value = price?.min ?? "";
+  itemForm.priceMax.value = price?.max ?? "";
+  itemForm.priceNote.value = price?.note || "";
+  itemForm.priceNegotiable.checked = Boolean(price?.negotiable);
+  updatePriceFieldVisibility();
+}
+
+// Only show the inputs that apply to the selected price type
+function updatePriceFieldVisibility() {
+  const type = priceTypeSelect?.value || "";
+  priceFields?.querySelectorAll("[data-price-types]").forEach((field) => {
+    field.hidden = !field.dataset.priceTypes.split(" ").includes(type);
+  });
+  if (priceFields) {
+    priceFields.hidden = !priceFields.querySelector("[data-price-types]:not([hidden])");
+  }
+}
+
+// =====================================================
+// PRICE MIGRATION
+// =====================================================
+// Older items stored prices as free-form strings (or 0 for free). Until
+// every item is converted, offer a one-click migration to the typed format.
+function updatePriceMigrationBanner() {
+  if (!priceMigrationBanner) return;
+  const legacyCount = items.filter((item) => isLegacyPrice(item.price)).length;
+  priceMigrationBanner.hidden = legacyCount === 0;
+  if (legacyCount > 0) {
+    priceMigrationText.textContent =
+      `${legacyCount} item${legacyCount !== 1 ? "s use" : " uses"} the old free-form price format.`;
+  }
+}
+
+async function migrateLegacyPrices() {
+  const legacyItems = items.filter((item) => isLegacyPrice(item.price));
+  if (legacyItems.length === 0) return;
+
+  const preview = legacyItems
+    .slice(0, 5)
+    .map((item) => `• ${item.name}: "${item.price}" → ${formatPrice(normalizePrice(item.price))}`)
+    .join("\n");
+  const more = legacyItems.length > 5 ? `\n…and ${legacyItems.length - 5} more` : "";
+  if (!confirm(`Convert ${legacyItems.length} price(s) to the new format?\n\n${preview}${more}`)) return;
+
+  priceMigrationBtn.disabled = true;
+  const { failed } = await runBulkWrite(legacyItems, (batch, item) => {
+    batch.update(doc(db, "items", item.id), { price: normalizePrice(item.price) });
+  });
+  priceMigrationBtn.disabled = false;
+  // The live items listener hides the banner once everything is converted,
+  // and leaves it up for the failures so they can be converted again
+  if (failed.length) {
+    const names = failed.slice(0, 3).map((item) => item.name).join(", ");
+    alert(`Error converting ${failed.length} price(s) (${names}${failed.length > 3 ? ", …" : ""}). Please try again.`);
+  }
+}
+
+// =====================================================
+// OPEN REQUEST GUARD BACKFILL
+// =====================================================
+// Requests opened before guards existed don't block a second request for the
+// same item. Until each has its guard, offer a one-click backfill.
+// Requests made after this read create their own guards.
+async function loadOpenRequestGuards() {
+  try {
+    const keys = await loadOpenRequestKeys();
+    unguardedRequestIds = new Set(findUnguardedRequests(requests, keys).map((r) => r.id));
+  } catch (err) {
+    console.error("Failed to load open request guards", err);
+    unguardedRequestIds = new Set();
+  }
+  updateGuardBackfillBanner();
+}
+
+// Still open and still missing a guard
+function getUnguardedRequests() {
+  return requests.filter((r) => unguardedRequestIds.has(r.id) && isOpenStatus(r.status));
+}
+
+function updateGuardBackfillBanner() {
+  if (!guardBackfillBanner) return;
+  const count = getUnguardedRequests().length;
+  guardBackfillBanner.hidden = count === 0;
+  if (count > 0) {
+    guardBackfillText.textContent =
+      `${count} open request${count !== 1 ? "s were" : " was"} made before duplicate requests were blocked.`;
+  }
+}
+
+async function backfillRequestGuards() {
+  const unguarded = getUnguardedRequests();
+  if (unguarded.length === 0) return;
+  if (!confirm(`Block duplicate requests for ${unguarded.length} older open request(s)?`)) return;
+
+  guardBackfillBtn.disabled = true;
+  let failed = 0;
+  for (const request of unguarded) {
+    try {
+      await backfillOpenRequestGuard(request);
+    } catch (err) {
+      console.error("Guard backfill failed", err);
+      failed += 1;
+    }
+  }
+  guardBackfillBtn.disabled = false;
+  // Re-read so the banner reflects guards created here and by requesters meanwhile
+  await loadOpenRequestGuards();
+  if (failed) alert(`Error updating ${failed} request(s). Please try again.`);
+}
+
+function buildItemPayload(formData) {
+  const tags = (formData.get("tags") || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+  
+  // Parse images array from JSON string
+  let images = [];
+  const imagesJson = formData.get("images");
+  if (imagesJson) {
+    try {
+      images = JSON.parse(imagesJson);
+    } catch (e) {
+      console.error("Failed to parse images JSON:", e);
+    }
+  }
+  
+  return {
+    name: formData.get("name") || "",
+    price: buildPriceFromForm(formData),
+    images: images, // Store as array
+    img: images.length > 0 ? images[0] : "", // Keep img for backward compatibility
+    tags,
+    description: formData.get("description") || "",
+    productLink: formData.get("productLink") || "",
+    availability: getAvailabilityMeta(formData.get("availability") || "available").value,
+    availableFrom: formData.get("availableFrom") || "",
+    availableUntil: formData.get("availableUntil") || "",
+  };
+}
+
+// =====================================================
+// ITEMS
+// =====================================================
+// Helper function to normalize tags (lowercase for comparison)
+function normalizeTag(tag) {
+  return tag.toLowerCase().trim();
+}
+
+// Helper function to format tags for display (title case)
+function formatTagForDisplay(tag) {
+  return tag
+    .split(/\s+/)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(" ");
+}
+
+// Extract all unique tags from items
+function extractAllTags(items) {
+  const tagSet = new Set();
+  items.forEach((item) => {
+    if (item.tags && Array.isArray(item.tags)) {
+      item.tags.forEach((tag) => {
+        const normalized = normalizeTag(tag);
+        tagSet.add(normalized);
+      });
+    }
+  });
+  return Array.from(tagSet).sort();
+}
+
+// Extract tags with display format for filtering
+function extractTagsForFiltering(items) {
+  const tagMap = new Map();
+  items.forEach((item) => {
+    if (item.tags && Array.isArray(item.tags)) {
+      item.tags.forEach((tag) => {
+        const normalized = normalizeTag(tag);
+        if (!tagMap.has(normalized)) {
+          tagMap.set(normalized, formatTagForDisplay(tag));
+        }
+      });
+    }
+  });
+  return Array.from(tagMap.entries()).sort((a, b) => 
+    a[1].localeCompare(b[1])
+  );
+}
+
+// Render tag filter dropdown
+function renderAdminTagFilters(tags, preserveSelection = false) {
+  const previousTags = new Set(allAvailableTags.map(([normalizedTag]) => normalizedTag));
+  allAvailableTags = tags;
+  if (!adminTagFilterDropdownMenu) return;
+  
+  adminTagFilterDropdownMenu.innerHTML = "";
+  
+  if (preserveSelection) {
+    // Keep the current choices; tags that just appeared start active
+    const nextActive = new Set();
+    tags.forEach(([normalizedTag]) => {
+      if (activeTags.has(normalizedTag) || !previousTags.has(normalizedTag)) {
+        nextActive.add(normalizedTag);
+      }
+    });
+    activeTags = nextActive;
+  } else {
+    // Ensure dropdown is hidden initially
+    adminTagFilterDropdownMenu.hidden = true;
+    if (adminTagFilterDropdownBtn) {
+      adminTagFilterDropdownBtn.setAttribute("aria-expanded", "false");
+    }
+
+    // Initialize all tags as active by default
+    activeTags.clear();
+    tags.forEach(([normalizedTag]) => {
+      activeTags.add(normalizedTag);
+    });
+  }
+
+  tags.forEach(([normalizedTag, displayTag]) => {
+    const isActive = activeTags.has(normalizedTag);
+    const label = document.createElement("label");
+    label.className = "tag-filter-option";
+    label.setAttribute("role", "menuitemcheckbox");
+    label.setAttribute("aria-checked", isActive ? "true" : "false");
+    
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "tag-filter-checkbox";
+    checkbox.checked = isActive;
+    checkbox.setAttribute("data-tag", normalizedTag);
+    checkbox.addEventListener("change", () => toggleAdminTagFilter(normalizedTag, checkbox));
+    
+    const span = document.createElement("span");
+    span.className = "tag-filter-label";
+    span.textContent = displayTag;
+    
+    label.appendChild(checkbox);
+    label.appendChild(span);
+    adminTagFilterDropdownMenu.appendChild(label);
+  });
+
+  updateAdminFilterButtonText();
+  applyAdminFilters();
+}
+
+function toggleAdminTagFilter(tag, checkbox) {
+  if (checkbox.checked) {
+    activeTags.add(tag);
+  } else {
+    activeTags.delete(tag);
+  }
+  
+  const label = checkbox.closest(".tag-filter-option");
+  if (label) {
+    label.setAttribute("aria-checked", checkbox.checked ? "true" : "false");
+  }
+  
+  updateAdminFilterButtonText();
+  applyAdminFilters();
+}
+
+function updateAdminFilterButtonText() {
+  if (!adminTagFilterDropdownText) return;
+  const totalTags = allAvailableTags.length;
+  const activeCount = activeTags.size;
   
-  // If price is a number (not 0), format with $ and OBO
-  if (typeof price === "number") {
-    return `$${price.toLocaleString()} OBO`;
+  if (activeCount === 0) {
+    adminTagFilterDropdownText.textContent = "No Tags Selected";
+  } else if (activeCount === totalTags) {
+    adminTagFilterDropdownText.textContent = "All Tags";
+  } else {
+    adminTagFilterDropdownText.textContent = `${activeCount} of ${totalTags} Tags`;
+  }
+}
+
+function applyAdminFilters() {
+  // If all tags are active, show all items
+  // If no tags are active, show nothing
+  // Otherwise, filter by active tags
+  if (allAvailableTags.length === 0) {
+    // No tags available, show all items
+    filteredItems = [...items];
+  } else if (activeTags.size === allAvailableTags.length) {
+    // All tags selected, show all items
+    filteredItems = [...items];
+  } else if (activeTags.size === 0) {
+    // No tags selected, show nothing
+    filteredItems = [];
+  } else {
+    // Some tags selected, filter items that have at least one of the active tags
+    filteredItems = items.filter((item) => {
+      if (!item.tags || !Array.isArray(item.tags) || item.tags.length === 0) {
+        return false; // Items without tags don't match any filter
+      }
+      // Check if item has at least one tag that matches an active tag
+      return item.tags.some((tag) => {
+        const normalized = normalizeTag(tag);
+        return activeTags.has(normalized);
+      });
+    });
   }
   
-  // If price is a string, check if it's a number or number range
-  if (typeof price === "string") {
-    const trimmed = price.trim();
-    
-    // Check if it's a single number or number range (e.g., "20-50", "100-429")
-    const numberPattern = /^\d+$/; // Single number
-    const rangePattern = /^\d+\s*-\s*\d+$/; // Number range like "20-50" or "20 - 50"
-    
-    if (numberPattern.test(trimmed) || rangePattern.test(trimmed)) {
-      // It's a number or range, format with $ and OBO
-      return `$${trimmed} OBO`;
-    }
-    
-    // Otherwise, return as-is (custom text)
-    return trimmed;
+  renderItems();
+  updateItemCounter();
+  updateBulkBar();
+}
+
+function updateItemCounter() {
+  const total = items.length;
+  const subtitle = document.getElementById("admin-items-subtitle");
+  
+  // Update subtitle with total items
+  if (subtitle) {
+    subtitle.textContent = `${total} total item${total !== 1 ? 's' : ''} on the site`;
   }
+}
+
+// Subscribe to live item updates (replacing any existing subscription)
+function loadItems() {
+  unsubscribeItems?.();
+  itemsLoading.hidden = false;
+  itemsEmpty.hidden = true;
   
-  // Fallback for any other type
-  return String(price);
+  let hasLoaded = false;
+  unsubscribeItems = subscribeToItems(
+    (loadedItems, changedIds) => {
+      items = loadedItems;
+      
+      // Drop selections for items that no longer exist
+      const loadedIds = new Set(items.map((item) => item.id));
+      selectedItemIds.forEach((id) => {
+        if (!loadedIds.has(id)) selectedItemIds.delete(id);
+      });
+      
+      // Extract all existing tags for autocomplete
+      allExistingTags = extractAllTags(items);
+      
+      // Extract tags for filtering and render filter dropdown
+      // (keep the admin's current tag selection on live updates)
+      const tagsForFiltering = extractTagsForFiltering(items);
+      renderAdminTagFilters(tagsForFiltering, hasLoaded);
+      
+      // applyAdminFilters() is called by renderAdminTagFilters, which will render items
+      markUpdated(itemsList, changedIds);
+      updatePriceMigrationBanner();
+      if (tagsModal?.classList.contains("open")) renderTagManager();
+      hasLoaded = true;
+      itemsLoading.hidden = true;
+    },
+    () => {
+      itemsList.innerHTML = '<p class="admin-error">Error loading items.</p>';
+      itemsLoading.hidden = true;
+    }
+  );
 }
 
 function renderItems() {
@@ -1132,6 +2623,7 @@ function renderItems() {
   filteredItems.forEach((item) => {
     const row = document.createElement("div");
     row.className = "admin-item-row";
+    row.dataset.docId = item.id;
     row.setAttribute("tabindex", "0");
     row.setAttribute("role", "button");
     row.setAttribute("aria-label", `Edit ${item.name}`);
@@ -1148,15 +2640,54 @@ function renderItems() {
     const price = formatPrice(item.price);
     const tagCount = item.tags?.length || 0;
     meta.textContent = `${price} • ${tagCount} tag${tagCount !== 1 ? 's' : ''}`;
+    // Items are public, so they only carry the request id; the name comes from the loaded requests
+    const holder = getAvailabilityMeta(item).value === "on_hold" && item.heldForRequestId
+      ? requests.find((r) => r.id === item.heldForRequestId)
+      : null;
+    if (holder?.contactName) {
+      meta.textContent += ` • Held for ${holder.contactName}`;
+    }
+    const dateLabel = getAvailabilityDateLabel(item);
+    if (dateLabel) meta.textContent += ` • ${dateLabel}`;
     
     info.appendChild(name);
     info.appendChild(meta);
     
+    // Availability badge (only when the item is not plainly available)
+    const availability = getAvailabilityMeta(item);
+    if (availability.value !== "available") {
+      const badge = document.createElement("span");
+      badge.className = `availability-badge availability-badge--${availability.value}`;
+      badge.textContent = availability.label;
+      name.appendChild(badge);
+      row.classList.add(`admin-item-row--${availability.value}`);
+    }
+    
     const editBtn = document.createElement("button");
     editBtn.className = "admin-item-row__edit";
     editBtn.setAttribute("aria-label", `Edit ${item.name}`);
     editBtn.innerHTML = '<i class="fas fa-pen" aria-hidden="true"></i>';
     
+    // Selection checkbox for bulk actions (doesn't open the editor)
+    const select = document.createElement("input");
+    select.type = "checkbox";
+    select.className = "admin-item-row__select";
+    select.checked = selectedItemIds.has(item.id);
+    select.setAttribute("aria-label", `Select ${item.name}`);
+    select.addEventListener("click", (e) => e.stopPropagation());
+    select.addEventListener("keydown", (e) => e.stopPropagation());
+    select.addEventListener("change", () => {
+      if (select.checked) {
+        selectedItemIds.add(item.id);
+      } else {
+        selectedItemIds.delete(item.id);
+      }
+      row.classList.toggle("is-selected", select.checked);
+      updateBulkBar();
+    });
+    row.classList.toggle("is-selected", select.checked);
+    
+    row.appendChild(select);
     row.appendChild(info);
     row.appendChild(editBtn);
     
@@ -1177,62 +2708,132 @@ function renderItems() {
 // =====================================================
 // REQUESTS
 // =====================================================
-async function loadRequests() {
+// Subscribe to live request updates (replacing any existing subscription)
+function loadRequests() {
+  unsubscribeRequests?.();
   requestsLoading.hidden = false;
   requestsEmpty.hidden = true;
   
-  try {
-    const q = query(collection(db, "requests"), orderBy("createdAt", "desc"));
-    const snap = await getDocs(q);
-    requests = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-    renderRequests();
-  } catch (err) {
-    console.error("Failed to load requests", err);
-    requestsList.innerHTML = '<p class="admin-error">Error loading requests.</p>';
-  } finally {
-    requestsLoading.hidden = true;
-  }
+  unsubscribeRequests = subscribeToRequests(
+    (loadedRequests, changedIds) => {
+      requests = loadedRequests;
+      if (!hasLoadedRequests) loadOpenRequestGuards();
+      hasLoadedRequests = true;
+      updateGuardBackfillBanner();
+      pruneMessageThreads();
+      renderItems(); // "Held for" names come from the requests
+      renderRequestStatusFilters();
+      renderRequests();
+      markUpdated(requestsList, changedIds);
+      requestsLoading.hidden = true;
+    },
+    () => {
+      requestsList.innerHTML = '<p class="admin-error">Error loading requests.</p>';
+      requestsLoading.hidden = true;
+    }
+  );
 }
 
-function formatRequestDate(timestamp) {
-  if (!timestamp) return null;
-  
-  // Handle Firestore timestamp
-  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
-  
-  const now = new Date();
-  const isToday = date.toDateString() === now.toDateString();
-  const yesterday = new Date(now);
-  yesterday.setDate(yesterday.getDate() - 1);
-  const isYesterday = date.toDateString() === yesterday.toDateString();
-  
-  const timeStr = date.toLocaleTimeString('en-US', { 
-    hour: 'numeric', 
-    minute: '2-digit',
-    hour12: true 
+function stopLiveUpdates() {
+  unsubscribeItems?.();
+  unsubscribeRequests?.();
+  unsubscribePickupSlots?.();
+  unsubscribeSiteSettings?.();
+  unsubscribeItems = null;
+  unsubscribeRequests = null;
+  unsubscribePickupSlots = null;
+  unsubscribeSiteSettings = null;
+  messageThreads.forEach((thread) => thread.destroy());
+  messageThreads.clear();
+}
+
+// Drop threads for requests that no longer exist
+function pruneMessageThreads() {
+  const ids = new Set(requests.map((r) => r.id));
+  messageThreads.forEach((thread, requestId) => {
+    if (ids.has(requestId)) return;
+    thread.destroy();
+    messageThreads.delete(requestId);
   });
-  
-  if (isToday) {
-    return `Today at ${timeStr}`;
-  } else if (isYesterday) {
-    return `Yesterday at ${timeStr}`;
-  } else {
-    const dateStr = date.toLocaleDateString('en-US', { 
-      month: 'short', 
-      day: 'numeric',
-      year: date.getFullYear() !== now.getFullYear() ? 'numeric' : undefined
+}
+
+// The request's thread, reused so an open conversation survives re-renders
+function getMessageThread(request) {
+  let thread = messageThreads.get(request.id);
+  if (!thread) {
+    thread = createMessageThread(request, {
+      getUser: () => currentUser,
+      asAdmin: true,
+      onSent: (req, text) => pushToRequester(PUSH_EVENTS.MESSAGE, req, { text }),
     });
-    return `${dateStr} at ${timeStr}`;
+    messageThreads.set(request.id, thread);
   }
+  thread.update(request);
+  return thread;
+}
+
+// Briefly highlight rows/cards whose documents changed since the last snapshot
+function markUpdated(container, changedIds) {
+  changedIds.forEach((id) => {
+    container.querySelectorAll(`[data-doc-id="${CSS.escape(id)}"]`).forEach((el) => {
+      el.classList.add("is-updated");
+      el.addEventListener("animationend", () => el.classList.remove("is-updated"), { once: true });
+    });
+  });
+}
+
+function renderRequestStatusFilters() {
+  if (!requestStatusFilters) return;
+  requestStatusFilters.innerHTML = "";
+
+  const counts = {};
+  requests.forEach((r) => {
+    const status = getStatusMeta(r.status).value;
+    counts[status] = (counts[status] || 0) + 1;
+  });
+
+  const chips = [{ value: "all", label: "All", count: requests.length }].concat(
+    REQUEST_STATUSES.map((s) => ({ value: s.value, label: s.label, count: counts[s.value] || 0 }))
+  );
+
+  chips.forEach((chip) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = `admin-status-chip admin-status-chip--${chip.value}`;
+    btn.classList.toggle("active", statusFilter === chip.value);
+    btn.setAttribute("aria-pressed", statusFilter === chip.value ? "true" : "false");
+    btn.innerHTML = `<span>${chip.label}</span><span class="admin-status-chip__count">${chip.count}</span>`;
+    btn.addEventListener("click", () => {
+      statusFilter = chip.value;
+      renderRequestStatusFilters();
+      renderRequests();
+    });
+    requestStatusFilters.appendChild(btn);
+  });
+}
+
+function matchesRequestSearch(r) {
+  if (!filterTerm) return true;
+  const text = `${r.itemName || ""} ${r.contactName || ""} ${r.contactInfo || ""} ${r.note || ""}`.toLowerCase();
+  return text.includes(filterTerm);
 }
 
 function renderRequests() {
   requestsList.innerHTML = "";
   
+  if (requestStatusFilters) {
+    requestStatusFilters.hidden = requestsView === "queue";
+  }
+  if (requestsView === "queue") {
+    renderRequestQueues();
+    return;
+  }
+  
   const filtered = requests.filter((r) => {
-    if (!filterTerm) return true;
-    const text = `${r.itemName || ""} ${r.contactName || ""} ${r.contactInfo || ""} ${r.note || ""}`.toLowerCase();
-    return text.includes(filterTerm);
+    if (statusFilter !== "all" && getStatusMeta(r.status).value !== statusFilter) {
+      return false;
+    }
+    return matchesRequestSearch(r);
   });
 
   if (!filtered.length) {
@@ -1241,7 +2842,7 @@ function renderRequests() {
     } else {
       const empty = document.createElement("p");
       empty.className = "admin-muted";
-      empty.textContent = "No requests match your search.";
+      empty.textContent = "No requests match your filters.";
       requestsList.appendChild(empty);
     }
     return;
@@ -1252,6 +2853,7 @@ function renderRequests() {
   filtered.forEach((r) => {
     const card = document.createElement("article");
     card.className = "admin-request-card";
+    card.dataset.docId = r.id;
 
     // Header section with item name and timestamp
     const header = document.createElement("header");
@@ -1290,6 +2892,8 @@ function renderRequests() {
       headerMeta.appendChild(timestamp);
     }
     
+    headerMeta.appendChild(createStatusControl(r));
+    
     header.appendChild(headerTop);
     header.appendChild(headerMeta);
 
@@ -1329,6 +2933,18 @@ function renderRequests() {
     `;
     contactGrid.appendChild(emailField);
     
+    // Booked pickup window
+    const pickupField = document.createElement("div");
+    pickupField.className = "admin-request-card__field admin-request-card__field--pickup";
+    pickupField.innerHTML = `
+      <span class="admin-request-card__label">Pickup</span>
+      <span class="admin-request-card__value">${r.pickupSlot ? escapeHtml(formatSlot(r.pickupSlot)) : "Not scheduled"}</span>
+    `;
+    if (hasConfirmedPickup(r)) {
+      pickupField.appendChild(createCalendarButton(r));
+    }
+    contactGrid.appendChild(pickupField);
+    
     body.appendChild(contactGrid);
     
     // Note section (if exists)
@@ -1342,24 +2958,469 @@ function renderRequests() {
       body.appendChild(noteSection);
     }
 
+    card.appendChild(header);
+    card.appendChild(body);
+    card.appendChild(getMessageThread(r).element);
+    
+    // Footer actions
+    const actions = createRequestActions(r);
+    if (actions) card.appendChild(actions);
+    
+    requestsList.appendChild(card);
+  });
+}
+
+// Per-item queue view: who holds each item and who is next in line
+function renderRequestQueues() {
+  const groups = groupRequestsByItem(requests).filter((group) => {
+    const open = [group.holder, ...group.queue].filter(Boolean);
+    return open.length > 0 && open.some(matchesRequestSearch);
+  });
+  
+  if (!groups.length) {
+    if (requests.length === 0) {
+      requestsEmpty.hidden = false;
+    } else {
+      const empty = document.createElement("p");
+      empty.className = "admin-muted";
+      empty.textContent = filterTerm ? "No queues match your search." : "No open requests.";
+      requestsList.appendChild(empty);
+    }
+    return;
+  }
+  
+  requestsEmpty.hidden = true;
+  
+  groups.forEach((group) => {
+    const card = document.createElement("article");
+    card.className = "admin-request-card admin-queue-card";
+    
+    // Header with item name, queue size and promote action
+    const header = document.createElement("header");
+    header.className = "admin-request-card__header";
+    
+    const headerTop = document.createElement("div");
+    headerTop.className = "admin-request-card__header-top";
+    
+    const title = document.createElement("h3");
+    title.className = "admin-request-card__title";
+    title.textContent = group.itemName;
+    headerTop.appendChild(title);
+    
+    if (group.holder) {
+      const promoteBtn = document.createElement("button");
+      promoteBtn.type = "button";
+      promoteBtn.className = "admin-btn admin-btn--secondary admin-btn--sm";
+      promoteBtn.innerHTML = group.queue.length
+        ? '<i class="fas fa-forward" aria-hidden="true"></i><span>Fell through? Promote next</span>'
+        : '<i class="fas fa-rotate-left" aria-hidden="true"></i><span>Fell through? Release item</span>';
+      promoteBtn.addEventListener("click", () => handlePromoteNext(group, promoteBtn));
+      headerTop.appendChild(promoteBtn);
+    }
+    
+    const headerMeta = document.createElement("div");
+    headerMeta.className = "admin-request-card__meta";
+    const count = document.createElement("span");
+    count.className = "admin-request-card__timestamp";
+    count.innerHTML = `<i class="fas fa-list-ol" aria-hidden="true"></i>${group.queue.length} waiting`;
+    headerMeta.appendChild(count);
+    
+    header.appendChild(headerTop);
+    header.appendChild(headerMeta);
+    
+    const body = document.createElement("div");
+    body.className = "admin-queue-card__body";
+    
+    // Current holder
+    if (group.holder) {
+      const holderRow = document.createElement("div");
+      holderRow.className = "admin-queue-entry admin-queue-entry--holder";
+      holderRow.dataset.docId = group.holder.id;
+      holderRow.appendChild(createQueueEntryInfo(group.holder, '<i class="fas fa-star" aria-hidden="true"></i>'));
+      holderRow.appendChild(createStatusControl(group.holder));
+      body.appendChild(holderRow);
+    }
+    
+    // Waiting line
+    if (group.queue.length) {
+      const list = document.createElement("ol");
+      list.className = "admin-queue-list";
+      list.setAttribute("aria-label", `Queue for ${group.itemName}`);
+      
+      group.queue.forEach((r, index) => {
+        const entry = document.createElement("li");
+        entry.className = "admin-queue-entry";
+        entry.dataset.docId = r.id;
+        entry.appendChild(createQueueEntryInfo(r, `#${index + 1}`));
+        
+        const controls = document.createElement("div");
+        controls.className = "admin-queue-entry__controls";
+        
+        const upBtn = document.createElement("button");
+        upBtn.type = "button";
+        upBtn.className = "admin-queue-entry__move";
+        upBtn.setAttribute("aria-label", `Move ${r.contactName || "request"} up`);
+        upBtn.innerHTML = '<i class="fas fa-arrow-up" aria-hidden="true"></i>';
+        upBtn.disabled = index === 0;
+        upBtn.addEventListener("click", () => handleReorderQueue(group, index, index - 1));
+        
+        const downBtn = document.createElement("button");
+        downBtn.type = "button";
+        downBtn.className = "admin-queue-entry__move";
+        downBtn.setAttribute("aria-label", `Move ${r.contactName || "request"} down`);
+        downBtn.innerHTML = '<i class="fas fa-arrow-down" aria-hidden="true"></i>';
+        downBtn.disabled = index === group.queue.length - 1;
+        downBtn.addEventListener("click", () => handleReorderQueue(group, index, index + 1));
+        
+        controls.appendChild(upBtn);
+        controls.appendChild(downBtn);
+        
+        // Without a holder, the front of the line can be accepted directly
+        if (!group.holder && index === 0) {
+          const acceptBtn = document.createElement("button");
+          acceptBtn.type = "button";
+          acceptBtn.className = "admin-btn admin-btn--primary admin-btn--sm";
+          acceptBtn.innerHTML = '<i class="fas fa-star" aria-hidden="true"></i><span>Accept</span>';
+          acceptBtn.addEventListener("click", () => handleAcceptRequest(r, acceptBtn));
+          controls.appendChild(acceptBtn);
+        }
+        
+        entry.appendChild(controls);
+        list.appendChild(entry);
+      });
+      
+      body.appendChild(list);
+    }
+    
     card.appendChild(header);
     card.appendChild(body);
     requestsList.appendChild(card);
   });
 }
 
+function createQueueEntryInfo(request, marker) {
+  const info = document.createElement("div");
+  info.className = "admin-queue-entry__info";
+  
+  const position = document.createElement("span");
+  position.className = "admin-queue-entry__position";
+  position.innerHTML = marker;
+  
+  const text = document.createElement("div");
+  text.className = "admin-queue-entry__text";
+  const status = getStatusMeta(request.status);
+  text.innerHTML = `
+    <span class="admin-queue-entry__name">${escapeHtml(request.contactName) || "—"}</span>
+    <span class="admin-queue-entry__meta">${escapeHtml(request.contactInfo) || escapeHtml(request.userEmail) || "—"} • ${status.label}${request.pickupSlot ? ` • <i class="fas fa-calendar-check" aria-hidden="true"></i> ${escapeHtml(formatSlot(request.pickupSlot))}` : ""}</span>
+  `;
+  
+  info.appendChild(position);
+  info.appendChild(text);
+  return info;
+}
+
+// Status button + dropdown for moving a request through its lifecycle
+function createStatusControl(request) {
+  const current = getStatusMeta(request.status);
+  
+  const wrapper = document.createElement("div");
+  wrapper.className = "admin-status-wrapper";
+  
+  const statusBtn = document.createElement("button");
+  statusBtn.type = "button";
+  statusBtn.className = `admin-status-btn admin-status-btn--${current.value}`;
+  statusBtn.setAttribute("aria-haspopup", "true");
+  statusBtn.setAttribute("aria-expanded", "false");
+  statusBtn.setAttribute("aria-label", `Status: ${current.label}. Change status`);
+  statusBtn.innerHTML = `
+    <span class="admin-status-btn__dot" aria-hidden="true"></span>
+    <span class="admin-status-btn__text">${current.label}</span>
+    <i class="fas fa-chevron-down admin-status-btn__icon" aria-hidden="true"></i>
+  `;
+  
+  // Show when the request last changed status
+  const history = getStatusHistory(request);
+  const lastChange = history[history.length - 1];
+  if (lastChange) {
+    statusBtn.title = `${getStatusMeta(lastChange.status).label} ${formatRequestDate(lastChange.changedAt)}`;
+  }
+  
+  const dropdown = document.createElement("div");
+  dropdown.className = "admin-status-dropdown";
+  dropdown.setAttribute("role", "menu");
+  dropdown.hidden = true;
+  
+  getDropdownStatuses(request).forEach((status) => {
+    const option = document.createElement("button");
+    option.type = "button";
+    option.className = `admin-status-dropdown__option admin-status-dropdown__option--${status.value}`;
+    option.setAttribute("role", "menuitem");
+    option.classList.toggle("active", status.value === current.value);
+    option.innerHTML = `<i class="fas ${status.icon}" aria-hidden="true"></i><span>${status.label}</span>`;
+    option.addEventListener("click", (e) => {
+      e.stopPropagation();
+      closeStatusDropdowns();
+      if (status.value !== current.value) {
+        handleStatusChange(request, status.value, statusBtn);
+      }
+    });
+    dropdown.appendChild(option);
+  });
+  
+  statusBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    const isOpen = !dropdown.hidden;
+    closeStatusDropdowns();
+    if (!isOpen) {
+      dropdown.hidden = false;
+      statusBtn.setAttribute("aria-expanded", "true");
+    }
+  });
+  
+  wrapper.appendChild(statusBtn);
+  wrapper.appendChild(dropdown);
+  return wrapper;
+}
+
+// Accepting and waitlisting go through the Accept button and the queue so
+// the item's hold stays in step; only the holder can move to pending pickup
+function getDropdownStatuses(request) {
+  return REQUEST_STATUSES.filter((status) => {
+    if (status.value === "accepted" || status.value === "waitlisted") return false;
+    return status.value !== "pending" || isHolder(request);
+  });
+}
+
+function closeStatusDropdowns() {
+  requestsList?.querySelectorAll(".admin-status-dropdown").forEach((dropdown) => {
+    dropdown.hidden = true;
+  });
+  requestsList?.querySelectorAll(".admin-status-btn").forEach((btn) => {
+    btn.setAttribute("aria-expanded", "false");
+  });
+}
+
+async function handleStatusChange(request, status, statusBtn) {
+  // Moving the holder out of holding ends their hold on the item
+  const { holder, queue } = getItemQueue(requests, request.itemId);
+  const endsHold = holder?.id === request.id && !isHolder({ status });
+  const claimed = status === "completed";
+  if (endsHold && !confirm(describeHoldRelease(request, queue, claimed))) return;
+  
+  statusBtn.disabled = true;
+  try {
+    const wasOpen = isOpenStatus(request.status);
+    let handover = null;
+    if (!wasOpen && isOpenStatus(status)) {
+      // Reopening takes back the requester's open request for the item,
+      // unless they've already made a new one
+      await reopenRequestClaimingGuard(request, buildStatusUpdate(status));
+    } else {
+      const batch = writeBatch(db);
+      batch.update(doc(db, "requests", request.id), buildStatusUpdate(status));
+      // A declined request gives its pickup place back
+      if (status === "declined") releaseSlotInBatch(batch, request);
+      // Closing a request lets the requester ask for the item again
+      if (wasOpen && !isOpenStatus(status)) releaseOpenRequestInBatch(batch, request);
+      if (endsHold) handover = writeHoldRelease(batch, request.itemId, queue, claimed);
+      await batch.commit();
+    }
+    notifyStatusChange(request, status);
+    if (handover) notifyQueueChanges(handover);
+  } catch (err) {
+    console.error("Failed to update request status", err);
+    alert(err.code === DUPLICATE_REQUEST
+      ? "This requester already has another open request for this item. Close that one before reopening this one."
+      : "Error updating status. Please try again.");
+    statusBtn.disabled = false;
+  }
+}
+
+// Footer with workflow actions (currently just "Accept")
+function createRequestActions(request) {
+  const status = getStatusMeta(request.status).value;
+  if (!isOpenStatus(status) || status === "accepted" || status === "pending") {
+    return null;
+  }
+  
+  const footer = document.createElement("footer");
+  footer.className = "admin-request-card__actions";
+  
+  const acceptBtn = document.createElement("button");
+  acceptBtn.type = "button";
+  acceptBtn.className = "admin-btn admin-btn--primary admin-btn--sm";
+  acceptBtn.innerHTML = '<i class="fas fa-star" aria-hidden="true"></i><span>Accept</span>';
+  acceptBtn.setAttribute("aria-label", `Accept request for ${request.itemName || "item"} from ${request.contactName || "requester"}`);
+  acceptBtn.addEventListener("click", () => handleAcceptRequest(request, acceptBtn));
+  
+  footer.appendChild(acceptBtn);
+  return footer;
+}
+
+// Accept a request: hold the item for this requester and waitlist everyone else
+async function handleAcceptRequest(request, acceptBtn) {
+  const { holder, queue } = getItemQueue(requests, request.itemId);
+  
+  // Anyone displaced from holding the item goes to the front of the line
+  const remaining = queue.filter((r) => r.id !== request.id);
+  const newQueue = holder && holder.id !== request.id ? [holder, ...remaining] : remaining;
+  
+  const itemName = request.itemName || "this item";
+  const contactName = request.contactName || "this requester";
+  const waitlistNote = newQueue.length
+    ? `\n\n${newQueue.length} other open request${newQueue.length !== 1 ? "s" : ""} will be waitlisted.`
+    : "";
+  if (!confirm(`Accept ${contactName}'s request for "${itemName}" and put it on hold for them?${waitlistNote}`)) {
+    return;
+  }
+  
+  acceptBtn.disabled = true;
+  try {
+    const batch = writeBatch(db);
+    holdItemForRequest(batch, request);
+    const waitlisted = writeQueue(batch, newQueue, true);
+    await batch.commit();
+    notifyQueueChanges({ promoted: request, waitlisted });
+  } catch (err) {
+    console.error("Failed to accept request", err);
+    alert("Error accepting request. Please try again.");
+    acceptBtn.disabled = false;
+  }
+}
+
+// Current holder fell through: decline them and hand the item to the next in line
+async function handlePromoteNext(group, promoteBtn) {
+  const [next] = group.queue;
+  const holderName = group.holder?.contactName || "The current holder";
+  const message = next
+    ? `${holderName} fell through? Their request will be declined and "${group.itemName}" will go on hold for ${next.contactName || "the next person in line"}.`
+    : `${holderName} fell through? Their request will be declined and "${group.itemName}" will be available again.`;
+  if (!confirm(message)) return;
+  
+  promoteBtn.disabled = true;
+  try {
+    const batch = writeBatch(db);
+    
+    if (group.holder) {
+      batch.update(doc(db, "requests", group.holder.id), buildStatusUpdate("declined"));
+      releaseSlotInBatch(batch, group.holder);
+      releaseOpenRequestInBatch(batch, group.holder);
+    }
+    
+    const handover = writeHoldRelease(batch, group.itemId, group.queue, false);
+    
+    await batch.commit();
+    if (group.holder) notifyStatusChange(group.holder, "declined");
+    notifyQueueChanges(handover);
+  } catch (err) {
+    console.error("Failed to promote next request", err);
+    alert("Error updating the queue. Please try again.");
+    promoteBtn.disabled = false;
+  }
+}
+
+// Save a new queue order after an admin moves someone up or down
+async function handleReorderQueue(group, fromIndex, toIndex) {
+  const newQueue = moveInQueue(group.queue, fromIndex, toIndex);
+  try {
+    const batch = writeBatch(db);
+    const waitlisted = writeQueue(batch, newQueue, Boolean(group.holder));
+    await batch.commit();
+    notifyQueueChanges({ waitlisted });
+  } catch (err) {
+    console.error("Failed to reorder queue", err);
+    alert("Error reordering the queue. Please try again.");
+  }
+}
+
+// What happens to the item when its holder's hold ends, for confirm dialogs
+function describeHoldRelease(holder, queue, claimed) {
+  const itemName = holder.itemName || "this item";
+  const holderName = holder.contactName || "This requester";
+  const [next] = queue;
+  if (claimed) return `${holderName} is holding "${itemName}". It will be marked as claimed.`;
+  return next
+    ? `${holderName} is holding "${itemName}". It will go on hold for ${next.contactName || "the next person in line"} instead.`
+    : `${holderName} is holding "${itemName}". It will be available again.`;
+}
+
+// Queue the end of a hold: the next in line takes the item over, or it's
+// freed (marked claimed when the holder picked it up). Returns who moved,
+// for notifyQueueChanges.
+function writeHoldRelease(batch, itemId, queue, claimed) {
+  const [next, ...rest] = claimed ? [] : queue;
+  if (next) {
+    holdItemForRequest(batch, next);
+    return { promoted: next, waitlisted: writeQueue(batch, rest, true) };
+  }
+  if (itemId) {
+    batch.update(doc(db, "items", itemId), {
+      availability: claimed ? "claimed" : "available",
+      heldForRequestId: deleteField(),
+      heldAt: deleteField(),
+    });
+  }
+  return { promoted: null, waitlisted: [] };
+}
+
+// Tell requesters whose requests a committed hold or queue change moved
+function notifyQueueChanges({ promoted = null, waitlisted = [] }) {
+  if (promoted) notifyStatusChange(promoted, "accepted");
+  waitlisted.forEach((r) => notifyStatusChange(r, "waitlisted"));
+}
+
+// Mark a request accepted and put its item on hold for that requester
+function holdItemForRequest(batch, request) {
+  batch.update(doc(db, "requests", request.id), {
+    ...buildStatusUpdate("accepted"),
+    queueRank: deleteField(),
+  });
+  
+  if (request.itemId) {
+    batch.update(doc(db, "items", request.itemId), {
+      availability: "on_hold",
+      heldForRequestId: request.id,
+      heldAt: serverTimestamp(),
+    });
+  }
+}
+
+// Store 1-based ranks for a queue; waitlist entries when the item is held.
+// Returns the requests newly moved to waitlisted, to notify after the commit.
+function writeQueue(batch, queue, waitlist) {
+  const waitlisted = [];
+  queue.forEach((r, index) => {
+    const update = { queueRank: index + 1 };
+    if (waitlist && getStatusMeta(r.status).value !== "waitlisted") {
+      Object.assign(update, buildStatusUpdate("waitlisted"));
+      waitlisted.push(r);
+    }
+    batch.update(doc(db, "requests", r.id), update);
+  });
+  return waitlisted;
+}
+
 async function handleDeleteRequest(request) {
   const itemName = request.itemName || "this item";
   const contactName = request.contactName || "Unknown";
-  const confirmed = confirm(`Are you sure you want to delete the request for "${itemName}" from ${contactName}?`);
+  // Deleting the holder hands the item to the next in line
+  const { holder, queue } = getItemQueue(requests, request.itemId);
+  const endsHold = holder?.id === request.id;
+  const holdNote = endsHold ? `\n\n${describeHoldRelease(request, queue, false)}` : "";
+  const confirmed = confirm(`Are you sure you want to delete the request for "${itemName}" from ${contactName}?${holdNote}`);
   
   if (!confirmed) {
     return;
   }
   
   try {
-    await deleteDoc(doc(db, "requests", request.id));
-    await loadRequests();
+    // Messages go first so the request is still there while they're removed
+    await deleteMessages(request.id);
+    let handover = null;
+    await deleteRequestReleasingSlot(request, (transaction) => {
+      if (endsHold) handover = writeHoldRelease(transaction, request.itemId, queue, false);
+    });
+    if (handover) notifyQueueChanges(handover);
   } catch (err) {
     console.error("Failed to delete request", err);
     alert("Error deleting request. Please try again.");
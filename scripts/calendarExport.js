@@ -0,0 +1,109 @@
+/**
+ * Calendar Export Helpers
+ *
+ * Builds iCalendar (.ics) files for confirmed pickups entirely in the
+ * browser: one event per request that has a booked pickup window and is
+ * accepted or pending pickup.
+ *
+ * Requesters download a single event from their profile; admins can grab
+ * one event per request or a feed file with every confirmed pickup.
+ */
+import { getStatusMeta } from "./requestStatus.js";
+import { downloadFile } from "./dataExport.js";
+import { formatIcsDate, escapeIcsText, foldLine } from "./icsText.js";
+
+// Statuses where a pickup has actually been agreed
+const CONFIRMED_STATUSES = ["accepted", "pending"];
+
+const PRODUCT_ID = "-//Moving Sale//Pickups//EN";
+
+function toDate(timestamp) {
+  if (!timestamp) return null;
+  return timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+}
+
+/**
+ * Whether a request has an agreed pickup that can go on a calendar
+ * @param {Object} request - Request document data
+ * @returns {boolean}
+ */
+export function hasConfirmedPickup(request) {
+  return Boolean(request.pickupSlot?.start) &&
+    CONFIRMED_STATUSES.includes(getStatusMeta(request.status).value);
+}
+
+/**
+ * Build the VEVENT lines for one confirmed pickup
+ * @param {Object} request - Request document data (with id)
+ * @param {Object} [item] - Item document data, when loaded
+ * @returns {Array<string>} Unfolded content lines
+ */
+export function buildPickupEvent(request, item = null) {
+  const start = toDate(request.pickupSlot.start);
+  const end = toDate(request.pickupSlot.end) || new Date(start.getTime() + 60 * 60 * 1000);
+  const itemName = item?.name || request.itemName || "item";
+
+  const details = [
+    `Item: ${itemName}`,
+    `Name: ${request.contactName || "—"}`,
+    `Contact: ${request.contactInfo || "—"}`,
+  ];
+  if (request.userEmail) details.push(`Email: ${request.userEmail}`);
+  if (request.note) details.push(`Note: ${request.note}`);
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${request.id}@movingsale`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(`Pickup: ${itemName}`)}`,
+    `DESCRIPTION:${escapeIcsText(details.join("\n"))}`,
+    "STATUS:CONFIRMED",
+    "END:VEVENT",
+  ];
+}
+
+/**
+ * Build a calendar file for one or more confirmed pickups
+ * @param {Array<Object>} requests - Requests to include (unconfirmed ones are skipped)
+ * @param {Map<string, Object>} [itemsById] - Loaded items, for up-to-date names
+ * @param {string} [calendarName] - Name shown by calendar apps for a feed
+ * @returns {string} .ics file contents
+ */
+export function buildPickupCalendar(requests, itemsById = new Map(), calendarName = "") {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (calendarName) lines.push(`X-WR-CALNAME:${escapeIcsText(calendarName)}`);
+
+  requests
+    .filter(hasConfirmedPickup)
+    .forEach((request) => {
+      lines.push(...buildPickupEvent(request, itemsById.get(request.itemId)));
+    });
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * Trigger a download of an .ics file
+ * @param {string} contents - Calendar file contents
+ * @param {string} filename - Suggested file name (without extension)
+ */
+export function downloadCalendar(contents, filename) {
+  const safeName = filename.replace(/[^a-z0-9-_]+/gi, "-").replace(/^-+|-+$/g, "") || "pickup";
+  downloadFile(contents, `${safeName}.ics`, "text/calendar;charset=utf-8");
+}
+
+export default {
+  hasConfirmedPickup,
+  buildPickupEvent,
+  buildPickupCalendar,
+  downloadCalendar,
+};
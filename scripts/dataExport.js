@@ -0,0 +1,184 @@
+/**
+ * Data Export Helpers
+ *
+ * Client-side backup tools for the admin console:
+ *
+ * - CSV exports of items and requests for spreadsheets and offline tracking
+ * - A full-fidelity JSON backup of both collections
+ * - Reading that backup back so items can be restored with their ids and
+ *   image URLs intact
+ *
+ * Firestore Timestamps can't survive JSON as-is, so the backup stores them
+ * as { "__timestamp": "<ISO date>" } and restore turns them back.
+ */
+import { Timestamp } from "./firebaseClient.js";
+import { getStatusLabel, formatRequestDate } from "./requestStatus.js";
+import { getAvailabilityMeta } from "./itemAvailability.js";
+import { formatPrice } from "./itemPrice.js";
+import { formatSlot } from "./pickupSlots.js";
+
+export const BACKUP_VERSION = 1;
+
+// =====================================================
+// CSV
+// =====================================================
+function toCsvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Keep spreadsheet apps from running cell contents as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(headers, rows) {
+  return [headers, ...rows].map((row) => row.map(toCsvCell).join(",")).join("\r\n");
+}
+
+/**
+ * CSV of items, one row per item
+ * @param {Array<Object>} items - Item documents (with id)
+ * @returns {string}
+ */
+export function itemsToCsv(items) {
+  const headers = [
+    "id", "name", "price", "availability", "availableFrom", "availableUntil",
+    "tags", "description", "productLink", "images",
+  ];
+  const rows = items.map((item) => [
+    item.id,
+    item.name,
+    formatPrice(item.price),
+    getAvailabilityMeta(item).label,
+    item.availableFrom || "",
+    item.availableUntil || "",
+    (item.tags || []).join(", "),
+    item.description,
+    item.productLink,
+    (item.images || (item.img ? [item.img] : [])).join(" "),
+  ]);
+  return toCsv(headers, rows);
+}
+
+/**
+ * CSV of requests, one row per request
+ * @param {Array<Object>} requests - Request documents (with id)
+ * @returns {string}
+ */
+export function requestsToCsv(requests) {
+  const headers = [
+    "id", "createdAt", "item", "itemId", "status", "contactName",
+    "contactInfo", "email", "note", "queueRank", "pickup",
+  ];
+  const rows = requests.map((r) => [
+    r.id,
+    formatRequestDate(r.createdAt) || "",
+    r.itemName,
+    r.itemId,
+    getStatusLabel(r.status),
+    r.contactName,
+    r.contactInfo,
+    r.userEmail,
+    r.note,
+    r.queueRank ?? "",
+    r.pickupSlot ? formatSlot(r.pickupSlot) : "",
+  ]);
+  return toCsv(headers, rows);
+}
+
+// =====================================================
+// JSON BACKUP
+// =====================================================
+function serializeValue(value) {
+  if (value && typeof value.toDate === "function") {
+    return { __timestamp: value.toDate().toISOString() };
+  }
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, serializeValue(v)]));
+  }
+  return value;
+}
+
+function reviveValue(value) {
+  if (value && typeof value === "object" && typeof value.__timestamp === "string") {
+    return Timestamp.fromDate(new Date(value.__timestamp));
+  }
+  if (Array.isArray(value)) return value.map(reviveValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, reviveValue(v)]));
+  }
+  return value;
+}
+
+/**
+ * Full JSON backup of items and requests
+ * @param {{ items: Array<Object>, requests: Array<Object> }} data - Loaded documents (with ids)
+ * @returns {string}
+ */
+export function buildBackup({ items, requests }) {
+  return JSON.stringify(
+    {
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      items: serializeValue(items),
+      requests: serializeValue(requests),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Read a JSON backup and return the items to restore
+ * @param {string} text - Backup file contents
+ * @returns {Array<{ id: string, data: Object }>} Item ids with Firestore-ready data
+ * @throws {Error} When the file isn't a backup from this site
+ */
+export function parseBackupItems(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error("That file isn't valid JSON.");
+  }
+  if (!backup || !Array.isArray(backup.items)) {
+    throw new Error("That file doesn't look like a moving sale backup.");
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error("That backup was made by a newer version of the site.");
+  }
+
+  return backup.items
+    .filter((item) => item && typeof item.id === "string" && item.name)
+    .map(({ id, ...data }) => ({ id, data: reviveValue(data) }));
+}
+
+// =====================================================
+// DOWNLOADS
+// =====================================================
+/**
+ * Trigger a download of generated file contents
+ * @param {string} contents - File contents
+ * @param {string} filename - File name including extension
+ * @param {string} type - MIME type
+ */
+export function downloadFile(contents, filename, type) {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export default {
+  BACKUP_VERSION,
+  itemsToCsv,
+  requestsToCsv,
+  buildBackup,
+  parseBackupItems,
+  downloadFile,
+};
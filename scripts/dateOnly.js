@@ -0,0 +1,56 @@
+/**
+ * Date-Only Helpers
+ *
+ * Calendar dates without a time (the move date, when an item becomes
+ * available) are stored as "YYYY-MM-DD" strings, exactly what a
+ * <input type="date"> produces. They're read as local midnight so
+ * "available from March 1" means March 1 wherever the visitor is.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a "YYYY-MM-DD" string as local midnight
+ * @param {string} value - Stored date
+ * @returns {Date|null} Null when empty or invalid
+ */
+export function parseDateOnly(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  // Reject dates that rolled over, like 2026-02-31
+  return date.getDate() === Number(match[3]) ? date : null;
+}
+
+/**
+ * Whole calendar days from today to a date (negative once it has passed)
+ * @param {string} value - Stored date
+ * @param {Date} [now] - Current time
+ * @returns {number|null} Null when the date is empty or invalid
+ */
+export function daysUntil(value, now = new Date()) {
+  const date = parseDateOnly(value);
+  if (!date) return null;
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  // Round to absorb daylight-saving hours
+  return Math.round((date - today) / DAY_MS);
+}
+
+/**
+ * Format a stored date as "Mar 1" (or "Mar 1, 2027" outside this year)
+ * @param {string} value - Stored date
+ * @returns {string}
+ */
+export function formatDateOnly(value) {
+  const date = parseDateOnly(value);
+  if (!date) return "";
+  const options = { month: "short", day: "numeric" };
+  if (date.getFullYear() !== new Date().getFullYear()) options.year = "numeric";
+  return date.toLocaleDateString("en-US", options);
+}
+
+export default {
+  parseDateOnly,
+  daysUntil,
+  formatDateOnly,
+};
@@ -0,0 +1,101 @@
+/**
+ * Favorites
+ *
+ * Shoppers can save items to come back to before deciding. Signed-in users'
+ * favorites live in their users document:
+ *
+ *   favorites: [itemId, ...]
+ *
+ * Anonymous visitors' favorites are kept in localStorage instead. Signing in
+ * merges this browser's saved items into the account and clears the local
+ * copy, so nothing saved before logging in is lost.
+ */
+import { db, doc, setDoc, onSnapshot, arrayUnion, arrayRemove } from "./firebaseClient.js";
+
+const STORAGE_KEY = "favorites";
+const localListeners = new Set(); // watchFavorites callbacks for anonymous visitors
+
+const userRef = (userId) => doc(db, "users", userId);
+
+function readLocalFavorites() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(ids) ? ids.filter((id) => typeof id === "string") : [];
+  } catch (err) {
+    console.error("Couldn't read favorites from storage", err);
+    return [];
+  }
+}
+
+function writeLocalFavorites(ids) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+  localListeners.forEach((listener) => listener(new Set(ids)));
+}
+
+/**
+ * Move this browser's saved favorites into the user's account
+ * @param {string} userId - Signed-in user's uid
+ * @returns {Promise<void>}
+ */
+export async function mergeLocalFavorites(userId) {
+  const local = readLocalFavorites();
+  if (!local.length) return;
+  await setDoc(userRef(userId), { favorites: arrayUnion(...local) }, { merge: true });
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Keep up with the visitor's favorites. Signing in merges the local ones
+ * into the account first.
+ * @param {Object|null} user - Signed-in user, or null for anonymous visitors
+ * @param {Function} onChange - Receives a Set of favorite item ids
+ * @returns {Function} Unsubscribe
+ */
+export function watchFavorites(user, onChange) {
+  if (!user) {
+    localListeners.add(onChange);
+    onChange(new Set(readLocalFavorites()));
+    // Favorites saved in another tab
+    const handleStorage = (e) => {
+      if (e.key === STORAGE_KEY) onChange(new Set(readLocalFavorites()));
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => {
+      localListeners.delete(onChange);
+      window.removeEventListener("storage", handleStorage);
+    };
+  }
+
+  mergeLocalFavorites(user.uid).catch((err) => console.error("Failed to merge favorites", err));
+  return onSnapshot(
+    userRef(user.uid),
+    (snapshot) => onChange(new Set(snapshot.data()?.favorites || [])),
+    (error) => console.error("Favorites listener failed:", error)
+  );
+}
+
+/**
+ * Save or unsave an item
+ * @param {Object|null} user - Signed-in user, or null for anonymous visitors
+ * @param {string} itemId - Item id
+ * @param {boolean} favorite - Whether the item should be a favorite
+ * @returns {Promise<void>}
+ */
+export async function setFavorite(user, itemId, favorite) {
+  if (!user) {
+    const ids = readLocalFavorites().filter((id) => id !== itemId);
+    writeLocalFavorites(favorite ? [...ids, itemId] : ids);
+    return;
+  }
+  await setDoc(
+    userRef(user.uid),
+    { favorites: favorite ? arrayUnion(itemId) : arrayRemove(itemId) },
+    { merge: true }
+  );
+}
+
+export default {
+  mergeLocalFavorites,
+  watchFavorites,
+  setFavorite,
+};
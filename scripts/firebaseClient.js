@@ -17,9 +17,18 @@ import {
   where,
   orderBy,
   addDoc,
+  setDoc,
   updateDoc,
   deleteDoc,
   serverTimestamp,
+  arrayUnion,
+  arrayRemove,
+  Timestamp,
+  writeBatch,
+  deleteField,
+  onSnapshot,
+  runTransaction,
+  increment,
 } from "https://www.gstatic.com/firebasejs/12.6.0/firebase-firestore.js";
 
 const firebaseConfig = {
@@ -50,6 +59,77 @@ async function checkIsAdmin(userId) {
   }
 }
 
+// Subscribe to a query. onData receives every document, the ids of documents
+// added or modified since the previous snapshot (empty on the first), and
+// { fromCache } (true when Firestore answered without reaching the server).
+// Returns the unsubscribe function.
+function subscribeToQuery(q, onData, onError) {
+  let isFirstSnapshot = true;
+  return onSnapshot(
+    q,
+    (snapshot) => {
+      // Estimate pending server timestamps so freshly written docs sort correctly
+      const docs = snapshot.docs.map((d) => ({
+        id: d.id,
+        ...d.data({ serverTimestamps: "estimate" }),
+      }));
+      const changedIds = isFirstSnapshot
+        ? []
+        : snapshot
+            .docChanges()
+            .filter((change) => change.type !== "removed")
+            .map((change) => change.doc.id);
+      isFirstSnapshot = false;
+      onData(docs, changedIds, { fromCache: snapshot.metadata.fromCache });
+    },
+    (error) => {
+      console.error("Snapshot listener failed:", error);
+      onError?.(error);
+    }
+  );
+}
+
+// Live list of all items, ordered by name
+function subscribeToItems(onData, onError) {
+  return subscribeToQuery(query(collection(db, "items"), orderBy("name")), onData, onError);
+}
+
+// Live list of all requests, newest first (admins only)
+function subscribeToRequests(onData, onError) {
+  return subscribeToQuery(
+    query(collection(db, "requests"), orderBy("createdAt", "desc")),
+    onData,
+    onError
+  );
+}
+
+// Live list of one user's requests, newest first
+function subscribeToUserRequests(userId, onData, onError) {
+  return subscribeToQuery(
+    query(
+      collection(db, "requests"),
+      where("userId", "==", userId),
+      orderBy("createdAt", "desc")
+    ),
+    onData,
+    onError
+  );
+}
+
+// Live list of pickup slots, earliest first
+function subscribeToPickupSlots(onData, onError) {
+  return subscribeToQuery(query(collection(db, "pickupSlots"), orderBy("start")), onData, onError);
+}
+
+// Live message thread for one request, oldest first
+function subscribeToMessages(requestId, onData, onError) {
+  return subscribeToQuery(
+    query(collection(db, "requests", requestId, "messages"), orderBy("createdAt")),
+    onData,
+    onError
+  );
+}
+
 export {
   app,
   auth,
@@ -66,9 +146,23 @@ export {
   where,
   orderBy,
   addDoc,
+  setDoc,
   updateDoc,
   deleteDoc,
   serverTimestamp,
+  arrayUnion,
+  arrayRemove,
+  Timestamp,
+  writeBatch,
+  deleteField,
+  onSnapshot,
+  runTransaction,
+  increment,
   checkIsAdmin,
+  subscribeToItems,
+  subscribeToRequests,
+  subscribeToUserRequests,
+  subscribeToPickupSlots,
+  subscribeToMessages,
 };
 
@@ -0,0 +1,64 @@
+/**
+ * iCalendar Text Helpers
+ *
+ * Formatting for the content lines of .ics files (RFC 5545), kept free of
+ * other imports so it can be tested on its own. Used by calendarExport.js.
+ */
+
+// RFC 5545 caps content lines at 75 octets, not counting the CRLF
+const MAX_LINE_OCTETS = 75;
+
+const encoder = new TextEncoder();
+
+/**
+ * Format a date as a UTC date-time value, e.g. 20250302T180000Z
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+export function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ * @param {any} value - Value to escape; null/undefined become ""
+ * @returns {string}
+ */
+export function escapeIcsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line onto continuation lines of at most 75 UTF-8 octets,
+ * counting the leading space on each continuation. Folds only between code
+ * points, so multibyte characters and emoji are never split.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Lines joined with CRLF
+ */
+export function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > MAX_LINE_OCTETS) {
+      chunks.push(current);
+      current = " ";
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n");
+}
+
+export default {
+  formatIcsDate,
+  escapeIcsText,
+  foldLine,
+};
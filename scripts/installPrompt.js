@@ -0,0 +1,148 @@
+/**
+ * Install Prompt
+ *
+ * Offers to add the storefront to the home screen, but only from a
+ * visitor's second visit on (first-time visitors just want to browse).
+ *
+ * Chrome/Edge/Android fire `beforeinstallprompt`, which is held back and
+ * replayed from our own Install button. iOS Safari has no such event, so
+ * iPhone/iPad visitors get instructions for Share → Add to Home Screen.
+ *
+ * localStorage keys:
+ *   visitCount             - visits so far (counted once per browser session)
+ *   installPromptDismissed - when "Not now" was last pressed (ISO string)
+ */
+import { isOffline } from "./offlineSupport.js";
+
+const VISIT_COUNT_KEY = "visitCount";
+const DISMISSED_KEY = "installPromptDismissed";
+const SESSION_KEY = "visitCounted";
+
+const MIN_VISITS = 2;
+const DISMISS_DAYS = 30;
+
+let deferredPrompt = null; // Held-back beforeinstallprompt event
+let promptElement = null;
+
+/**
+ * Whether the site is running as an installed app
+ * @returns {boolean}
+ */
+export function isStandalone() {
+  return window.matchMedia("(display-mode: standalone)").matches || window.navigator.standalone === true;
+}
+
+function isIos() {
+  return /iphone|ipad|ipod/i.test(navigator.userAgent) ||
+    // iPadOS reports itself as a Mac, but Macs don't have touch screens
+    (navigator.platform === "MacIntel" && navigator.maxTouchPoints > 1);
+}
+
+// Count this visit once per browser session and return the total
+function recordVisit() {
+  let count = Number(localStorage.getItem(VISIT_COUNT_KEY)) || 0;
+  if (!sessionStorage.getItem(SESSION_KEY)) {
+    count += 1;
+    localStorage.setItem(VISIT_COUNT_KEY, String(count));
+    sessionStorage.setItem(SESSION_KEY, "1");
+  }
+  return count;
+}
+
+function wasRecentlyDismissed() {
+  const dismissedAt = Date.parse(localStorage.getItem(DISMISSED_KEY) || "");
+  return Number.isFinite(dismissedAt) && Date.now() - dismissedAt < DISMISS_DAYS * 24 * 60 * 60 * 1000;
+}
+
+function hidePrompt() {
+  promptElement?.remove();
+  promptElement = null;
+}
+
+function dismissPrompt() {
+  localStorage.setItem(DISMISSED_KEY, new Date().toISOString());
+  hidePrompt();
+}
+
+async function handleInstall() {
+  if (!deferredPrompt) return;
+  const installEvent = deferredPrompt;
+  deferredPrompt = null;
+  hidePrompt();
+  installEvent.prompt();
+  const { outcome } = await installEvent.userChoice;
+  if (outcome === "dismissed") dismissPrompt();
+}
+
+function showPrompt({ ios }) {
+  if (promptElement) return;
+
+  promptElement = document.createElement("div");
+  promptElement.className = "install-prompt";
+  promptElement.setAttribute("role", "dialog");
+  promptElement.setAttribute("aria-labelledby", "install-prompt-title");
+  promptElement.innerHTML = `
+    <img class="install-prompt__icon" src="assets/icons/icon-192.png" alt="" width="48" height="48">
+    <div class="install-prompt__text">
+      <strong id="install-prompt-title">Add the moving sale to your home screen</strong>
+      <span>${ios
+        ? 'Tap <i class="fas fa-arrow-up-from-bracket" aria-label="Share"></i> then “Add to Home Screen”.'
+        : "Open it like an app, even with a weak signal."}</span>
+    </div>
+    <div class="install-prompt__actions"></div>
+  `;
+
+  const actions = promptElement.querySelector(".install-prompt__actions");
+  if (!ios) {
+    const installBtn = document.createElement("button");
+    installBtn.type = "button";
+    installBtn.className = "primary-btn install-prompt__install";
+    installBtn.textContent = "Install";
+    installBtn.addEventListener("click", handleInstall);
+    actions.appendChild(installBtn);
+  }
+  const dismissBtn = document.createElement("button");
+  dismissBtn.type = "button";
+  dismissBtn.className = "install-prompt__dismiss";
+  dismissBtn.textContent = ios ? "Got it" : "Not now";
+  dismissBtn.addEventListener("click", dismissPrompt);
+  actions.appendChild(dismissBtn);
+
+  document.body.appendChild(promptElement);
+}
+
+/**
+ * Count the visit and show the install prompt when it's a returning
+ * visitor who hasn't installed the app or said "Not now" lately
+ */
+export function initInstallPrompt() {
+  if (isStandalone()) return;
+  let visits = 0;
+  try {
+    visits = recordVisit();
+  } catch (err) {
+    // Storage disabled: don't nag on every visit
+    console.error("Couldn't count visits", err);
+    return;
+  }
+  const isEligible = () => visits >= MIN_VISITS && !wasRecentlyDismissed() && !isOffline();
+
+  window.addEventListener("beforeinstallprompt", (e) => {
+    // Keep the browser's mini-infobar away; our prompt replays the event
+    e.preventDefault();
+    deferredPrompt = e;
+    if (isEligible()) showPrompt({ ios: false });
+  });
+
+  window.addEventListener("appinstalled", () => {
+    deferredPrompt = null;
+    hidePrompt();
+  });
+
+  if (isIos() && isEligible()) showPrompt({ ios: true });
+}
+
+export default {
+  isStandalone,
+  initInstallPrompt,
+};
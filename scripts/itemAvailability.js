@@ -0,0 +1,158 @@
+/**
+ * Item Availability Helpers
+ *
+ * Shared definitions for an item's availability, used by the admin console
+ * to retire items without deleting them and by the storefront to badge,
+ * filter and lock items that are no longer up for grabs.
+ *
+ * Items without an `availability` field are treated as "available".
+ *
+ * Items can also carry an optional pickup window as "YYYY-MM-DD" strings:
+ * `availableFrom` (can't be picked up before) and `availableUntil` (last day).
+ * Empty strings mean no limit.
+ */
+import { daysUntil, formatDateOnly } from "./dateOnly.js";
+
+// Ordered list of availability states (order drives the admin select)
+export const AVAILABILITY_STATES = [
+  { value: "available", label: "Available", icon: "fa-circle-check" },
+  { value: "on_hold", label: "On Hold", icon: "fa-hourglass-half" },
+  { value: "claimed", label: "Claimed", icon: "fa-handshake" },
+  { value: "gone", label: "Gone", icon: "fa-box-archive" },
+];
+
+/**
+ * Look up the definition for an item's availability
+ * @param {Object|string} itemOrValue - Item document data or a stored value
+ * @returns {{ value: string, label: string, icon: string }}
+ */
+export function getAvailabilityMeta(itemOrValue) {
+  const value = typeof itemOrValue === "string" ? itemOrValue : itemOrValue?.availability;
+  return AVAILABILITY_STATES.find((s) => s.value === value) || AVAILABILITY_STATES[0];
+}
+
+/**
+ * Whether visitors can still submit requests for an item
+ * (held items can still be requested to join the line)
+ * @param {Object} item - Item document data
+ * @returns {boolean}
+ */
+export function isRequestable(item) {
+  const { value } = getAvailabilityMeta(item);
+  return value === "available" || value === "on_hold";
+}
+
+/**
+ * Whether an item has been claimed by someone
+ * @param {Object} item - Item document data
+ * @returns {boolean}
+ */
+export function isClaimed(item) {
+  return getAvailabilityMeta(item).value === "claimed";
+}
+
+/**
+ * Whether an item has been retired and should no longer appear on the storefront
+ * @param {Object} item - Item document data
+ * @returns {boolean}
+ */
+export function isGone(item) {
+  return getAvailabilityMeta(item).value === "gone";
+}
+
+/**
+ * Days until an item's pickup window opens
+ * @param {Object} item - Item document data
+ * @param {Date} [now] - Current time
+ * @returns {number} 0 when it's already open (or has no start date)
+ */
+export function getDaysUntilAvailable(item, now = new Date()) {
+  return Math.max(0, daysUntil(item.availableFrom, now) ?? 0);
+}
+
+/**
+ * Whether an item's pickup window has closed
+ * @param {Object} item - Item document data
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export function isPastAvailableUntil(item, now = new Date()) {
+  const days = daysUntil(item.availableUntil, now);
+  return days !== null && days < 0;
+}
+
+/**
+ * Whether an item can be picked up today: plainly available and inside its
+ * pickup window
+ * @param {Object} item - Item document data
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export function isAvailableNow(item, now = new Date()) {
+  return getAvailabilityMeta(item).value === "available" &&
+    getDaysUntilAvailable(item, now) === 0 &&
+    !isPastAvailableUntil(item, now);
+}
+
+/**
+ * Short label for an item's pickup window, e.g. "Available in 12 days"
+ * @param {Object} item - Item document data
+ * @param {Date} [now] - Current time
+ * @returns {string} Empty when the item has no dates worth mentioning
+ */
+export function getAvailabilityDateLabel(item, now = new Date()) {
+  const daysLeft = getDaysUntilAvailable(item, now);
+  if (daysLeft === 1) return "Available tomorrow";
+  if (daysLeft > 1) return `Available in ${daysLeft} days`;
+  if (isPastAvailableUntil(item, now)) return "Pickup window closed";
+  if (item.availableUntil) return `Until ${formatDateOnly(item.availableUntil)}`;
+  return "";
+}
+
+/**
+ * Check an item's pickup window before saving
+ * @param {{ availableFrom: string, availableUntil: string }} fields - Form values
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateAvailabilityDates({ availableFrom, availableUntil }) {
+  if (availableFrom && availableUntil && availableUntil < availableFrom) {
+    return "\"Available until\" can't be before \"Available from\".";
+  }
+  return null;
+}
+
+/**
+ * Check a manual availability change against the item's hold. Holds are
+ * only placed and released through the request queue (accepting a request,
+ * promoting the next in line), which keeps the item and its requests in step.
+ * A hold whose request is gone can be cleared by hand.
+ * @param {Object|null} item - Item document data, or null for a new item
+ * @param {string} availability - Availability being saved
+ * @param {{ hasHolder?: boolean }} [hold] - Whether an open request still holds the item
+ * @returns {string|null} Error message, or null when allowed
+ */
+export function validateHoldChange(item, availability, { hasHolder = true } = {}) {
+  const wasOnHold = item ? getAvailabilityMeta(item).value === "on_hold" : false;
+  const isOnHold = getAvailabilityMeta(availability).value === "on_hold";
+  if (wasOnHold && !isOnHold && hasHolder) {
+    return "This item is on hold for a requester. Release it from the Requests queue instead.";
+  }
+  if (!wasOnHold && isOnHold) {
+    return "Items go on hold by accepting a request in the Requests panel.";
+  }
+  return null;
+}
+
+export default {
+  AVAILABILITY_STATES,
+  getAvailabilityMeta,
+  isRequestable,
+  isClaimed,
+  isGone,
+  getDaysUntilAvailable,
+  isPastAvailableUntil,
+  isAvailableNow,
+  getAvailabilityDateLabel,
+  validateAvailabilityDates,
+  validateHoldChange,
+};
@@ -0,0 +1,176 @@
+/**
+ * Item Import Helpers
+ *
+ * Parses a CSV or TSV export of a spreadsheet into item payloads for the
+ * admin bulk import: detects the delimiter, guesses which column holds each
+ * field, validates every row and flags names that already exist.
+ *
+ * Prices go through the same parser as the old free-form prices, so "40",
+ * "20-50", "free" and "make an offer" all import as typed prices.
+ */
+import { parseLegacyPrice, validatePrice } from "./itemPrice.js";
+
+// Fields that can be mapped from a column, with header names we recognise
+export const IMPORT_FIELDS = [
+  { key: "name", label: "Name", required: true, aliases: ["name", "item", "item name", "title"] },
+  { key: "price", label: "Price", aliases: ["price", "cost", "asking price", "$"] },
+  { key: "tags", label: "Tags", aliases: ["tags", "tag", "category", "categories"] },
+  { key: "description", label: "Description", aliases: ["description", "desc", "details", "notes"] },
+  { key: "productLink", label: "Product link", aliases: ["productlink", "product link", "link", "url"] },
+];
+
+/**
+ * Split delimited text into rows of cells. Handles quoted cells with
+ * embedded delimiters, newlines and doubled quotes ("").
+ * @param {string} text - File contents
+ * @param {string} [delimiter] - "," or "\t"; detected from the header when omitted
+ * @returns {Array<Array<string>>}
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, ""); // Strip Excel's byte order mark
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+/**
+ * Guess the delimiter from the first line: tabs win if present
+ * @param {string} text - File contents
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  return firstLine.includes("\t") ? "\t" : ",";
+}
+
+/**
+ * Match header cells to import fields by name
+ * @param {Array<string>} headers - First row of the file
+ * @returns {Object<string, number>} Field key → column index (-1 when unmapped)
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map((h) => h.trim().toLowerCase());
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    mapping[field.key] = normalized.findIndex((h) => field.aliases.includes(h));
+  });
+  return mapping;
+}
+
+function normalizeName(name) {
+  return (name || "").trim().toLowerCase();
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Turn data rows into validated item payloads
+ * @param {Array<Array<string>>} rows - Data rows (header excluded)
+ * @param {Object<string, number>} mapping - Field key → column index
+ * @param {Array<Object>} existingItems - Items already in the collection
+ * @returns {Array<{ rowNumber: number, payload: Object, errors: Array<string>, duplicateOf: string|null }>}
+ */
+export function buildImportRows(rows, mapping, existingItems) {
+  const existingNames = new Map(existingItems.map((item) => [normalizeName(item.name), item.name]));
+  const seenInFile = new Map();
+
+  return rows.map((cells, index) => {
+    const read = (key) => (mapping[key] >= 0 ? (cells[mapping[key]] || "").trim() : "");
+    const rowNumber = index + 2; // 1-based, after the header row
+    const errors = [];
+
+    const name = read("name");
+    if (!name) errors.push("Missing name");
+
+    const rawPrice = read("price");
+    const price = rawPrice ? parseLegacyPrice(rawPrice.replace(/,/g, "")) : null;
+    const priceError = validatePrice(price);
+    if (priceError) errors.push(priceError);
+
+    const productLink = read("productLink");
+    if (productLink && !isValidUrl(productLink)) errors.push("Product link isn't a valid URL");
+
+    const tags = read("tags")
+      .split(/[,;|]/)
+      .map((t) => t.trim())
+      .filter(Boolean);
+
+    // Duplicates: same name as an existing item, or as an earlier row
+    const key = normalizeName(name);
+    let duplicateOf = null;
+    if (key && existingNames.has(key)) {
+      duplicateOf = `Already on the site as "${existingNames.get(key)}"`;
+    } else if (key && seenInFile.has(key)) {
+      duplicateOf = `Same name as row ${seenInFile.get(key)}`;
+    }
+    if (key && !seenInFile.has(key)) seenInFile.set(key, rowNumber);
+
+    return {
+      rowNumber,
+      errors,
+      duplicateOf,
+      payload: {
+        name,
+        price,
+        images: [],
+        img: "",
+        tags,
+        description: read("description"),
+        productLink,
+        availability: "available",
+      },
+    };
+  });
+}
+
+export default {
+  IMPORT_FIELDS,
+  parseDelimited,
+  detectDelimiter,
+  guessColumnMapping,
+  buildImportRows,
+};
@@ -0,0 +1,239 @@
+/**
+ * Item Price Helpers
+ *
+ * Shared definitions for an item's price, used by the admin console to
+ * capture a typed price and by the storefront to format and sort by it.
+ *
+ * Prices are stored on the item as a `price` object:
+ *
+ *   { type: "fixed", amount: 40, negotiable: true }
+ *   { type: "range", min: 20, max: 50, negotiable: true }
+ *   { type: "free" }
+ *   { type: "sliding", min: 0, max: 30 }
+ *   { type: "offer", note: "Best offer by Friday" }
+ *
+ * Older items stored free-form strings or the number 0; normalizePrice()
+ * reads those too so un-migrated items still display and sort sensibly.
+ */
+
+// Ordered list of price types (order drives the admin select)
+export const PRICE_TYPES = [
+  { value: "fixed", label: "Fixed price" },
+  { value: "range", label: "Price range" },
+  { value: "free", label: "Free" },
+  { value: "sliding", label: "Sliding scale" },
+  { value: "offer", label: "Make an offer" },
+];
+
+const PRICE_TYPE_VALUES = PRICE_TYPES.map((t) => t.value);
+
+function toAmount(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Whether a stored price is already in the structured format
+ * @param {*} price - Stored price value
+ * @returns {boolean}
+ */
+export function isStructuredPrice(price) {
+  return Boolean(price) && typeof price === "object" && PRICE_TYPE_VALUES.includes(price.type);
+}
+
+/**
+ * Whether a stored price still uses the old string/number format
+ * @param {*} price - Stored price value
+ * @returns {boolean}
+ */
+export function isLegacyPrice(price) {
+  return price !== null && price !== undefined && !isStructuredPrice(price);
+}
+
+/**
+ * Convert an old free-form price into the structured format.
+ * Numbers and ranges were always shown with "OBO", so they stay negotiable;
+ * any other text becomes a "make an offer" price with the text as its note.
+ * @param {string|number|null} price - Legacy price value
+ * @returns {Object|null} Structured price, or null for "no price"
+ */
+export function parseLegacyPrice(price) {
+  if (price === null || price === undefined) return null;
+
+  if (typeof price === "number") {
+    return price === 0 ? { type: "free" } : { type: "fixed", amount: price, negotiable: true };
+  }
+
+  const text = String(price).trim();
+  if (!text) return null;
+
+  if (/^(0|free)$/i.test(text)) {
+    return { type: "free" };
+  }
+
+  const numberMatch = text.match(/^\$?(\d+(?:\.\d+)?)$/);
+  if (numberMatch) {
+    return { type: "fixed", amount: Number(numberMatch[1]), negotiable: true };
+  }
+
+  const rangeMatch = text.match(/^\$?(\d+(?:\.\d+)?)\s*-\s*\$?(\d+(?:\.\d+)?)$/);
+  if (rangeMatch) {
+    const [min, max] = [Number(rangeMatch[1]), Number(rangeMatch[2])].sort((a, b) => a - b);
+    return { type: "range", min, max, negotiable: true };
+  }
+
+  return { type: "offer", note: text };
+}
+
+/**
+ * Read a stored price in either format
+ * @param {*} price - Stored price value
+ * @returns {Object|null} Structured price, or null for "no price"
+ */
+export function normalizePrice(price) {
+  return isStructuredPrice(price) ? price : parseLegacyPrice(price);
+}
+
+/**
+ * Check a structured price for missing or inconsistent amounts
+ * @param {Object|null} price - Structured price
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validatePrice(price) {
+  if (!price) return null;
+
+  switch (price.type) {
+    case "fixed":
+      if (toAmount(price.amount) === null || price.amount <= 0) {
+        return "Enter a price greater than 0 (or choose Free).";
+      }
+      return null;
+    case "range":
+    case "sliding":
+      if (toAmount(price.min) === null || toAmount(price.max) === null) {
+        return "Enter both a minimum and a maximum price.";
+      }
+      if (price.min < 0 || price.max <= price.min) {
+        return "The maximum price must be greater than the minimum.";
+      }
+      return null;
+    case "free":
+    case "offer":
+      return null;
+    default:
+      return "Choose a price type.";
+  }
+}
+
+/**
+ * Build a structured price from raw form values
+ * @param {{ type: string, amount?: string, min?: string, max?: string, negotiable?: boolean, note?: string }} fields
+ * @returns {Object|null} Structured price, or null when no type is chosen
+ */
+export function buildPrice({ type, amount, min, max, negotiable = false, note = "" }) {
+  switch (type) {
+    case "fixed":
+      return { type, amount: toAmount(amount), negotiable: Boolean(negotiable) };
+    case "range":
+      return { type, min: toAmount(min), max: toAmount(max), negotiable: Boolean(negotiable) };
+    case "sliding":
+      return { type, min: toAmount(min) ?? 0, max: toAmount(max) };
+    case "free":
+      return { type };
+    case "offer":
+      return note.trim() ? { type, note: note.trim() } : { type };
+    default:
+      return null;
+  }
+}
+
+function formatAmount(amount) {
+  return `$${amount.toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Display text for a price
+ * @param {*} price - Stored price value (structured or legacy)
+ * @param {string} [emptyLabel] - Text to show when there is no price
+ * @returns {string}
+ */
+export function formatPrice(price, emptyLabel = "No price") {
+  const p = normalizePrice(price);
+  if (!p) return emptyLabel;
+
+  const obo = p.negotiable ? " OBO" : "";
+  switch (p.type) {
+    case "fixed":
+      return `${formatAmount(p.amount)}${obo}`;
+    case "range":
+      return `${formatAmount(p.min)}–${formatAmount(p.max)}${obo}`;
+    case "free":
+      return "Free";
+    case "sliding":
+      return p.min > 0
+        ? `Sliding scale ${formatAmount(p.min)}–${formatAmount(p.max)}`
+        : `Pay what you can (up to ${formatAmount(p.max)})`;
+    case "offer":
+      return p.note || "Make an offer";
+    default:
+      return emptyLabel;
+  }
+}
+
+/**
+ * Lowest amount a price asks for, used for price sorting.
+ * Free is 0; "make an offer" and missing prices sort last.
+ * @param {*} price - Stored price value (structured or legacy)
+ * @returns {number}
+ */
+export function getPriceSortValue(price) {
+  const p = normalizePrice(price);
+  if (!p) return Infinity;
+
+  switch (p.type) {
+    case "fixed":
+      return p.amount;
+    case "range":
+    case "sliding":
+      return p.min;
+    case "free":
+      return 0;
+    default:
+      return Infinity;
+  }
+}
+
+/**
+ * Whether a price names an actual amount (fixed, range or sliding scale)
+ * @param {*} price - Stored price value (structured or legacy)
+ * @returns {boolean}
+ */
+export function hasAmount(price) {
+  const p = normalizePrice(price);
+  return Boolean(p) && ["fixed", "range", "sliding"].includes(p.type);
+}
+
+/**
+ * Whether an item is marked free. Ranges and sliding scales that start at $0
+ * aren't: the lower-bound rule only applies to the min/max price filter.
+ * @param {*} price - Stored price value (structured or legacy)
+ * @returns {boolean}
+ */
+export function isFree(price) {
+  return normalizePrice(price)?.type === "free";
+}
+
+export default {
+  PRICE_TYPES,
+  isStructuredPrice,
+  isLegacyPrice,
+  parseLegacyPrice,
+  normalizePrice,
+  validatePrice,
+  buildPrice,
+  formatPrice,
+  getPriceSortValue,
+  hasAmount,
+  isFree,
+};
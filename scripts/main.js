@@ -4,16 +4,42 @@ import {
   signInWithPopup,
   signOut,
   onAuthStateChanged,
-  db,
-  collection,
-  getDocs,
-  query,
-  orderBy,
-  addDoc,
   serverTimestamp,
   checkIsAdmin,
+  subscribeToItems,
+  subscribeToPickupSlots,
+  subscribeToUserRequests,
 } from "./firebaseClient.js";
 
+import { buildInitialStatus, getStatusMeta } from "./requestStatus.js";
+import {
+  getAvailabilityMeta,
+  isRequestable,
+  isClaimed,
+  isGone,
+  isAvailableNow,
+  getAvailabilityDateLabel,
+} from "./itemAvailability.js";
+import { formatPrice, getPriceSortValue, hasAmount, isFree } from "./itemPrice.js";
+import { DEFAULT_SITE_SETTINGS, subscribeToSiteSettings, getHeroEyebrow, getMoveCountdown } from "./siteSettings.js";
+import { watchUnreadBadges } from "./requestMessages.js";
+import { notifyRequestEvent, NOTIFY_EVENTS } from "./notifier.js";
+import { getBookableSlots, getRemainingCapacity, formatSlot, createRequestWithSlot, SLOT_FULL } from "./pickupSlots.js";
+import { findOpenRequest, DUPLICATE_REQUEST } from "./requestGuard.js";
+import {
+  registerServiceWorker,
+  isOffline,
+  watchConnection,
+  saveCatalogSnapshot,
+  loadCatalogSnapshot,
+  formatLastUpdated,
+  getQueuedRequests,
+  queueRequest,
+  removeQueuedRequest,
+} from "./offlineSupport.js";
+import { initInstallPrompt } from "./installPrompt.js";
+import { watchFavorites, setFavorite } from "./favorites.js";
+
 // =====================================================
 // STATE
 // =====================================================
@@ -21,8 +47,27 @@ let allItems = [];
 let filteredItems = [];
 let activeTags = new Set();
 let currentSort = "default";
+let showClaimed = false; // Claimed items are hidden unless the visitor opts in
+let skipEntranceAnimation = false; // Set while re-rendering for a live update
+let searchQuery = ""; // Free-text search across name, description and tags
+let priceMin = null; // Lower price bound, or null for none
+let priceMax = null; // Upper price bound, or null for none
+let freeOnly = false;
+let availableNowOnly = false; // Hide items whose pickup window isn't open today
+let favoritesOnly = false; // Only show items the visitor saved
+let favoriteIds = new Set(); // Saved item ids (account or this browser)
+let stopFavorites = null;
+let pickupSlots = []; // Live list of admin-published pickup windows
+let siteSettings = DEFAULT_SITE_SETTINGS; // Live copy of settings/site
 let currentUser = null;
 let isAdmin = false;
+let stopUnreadBadges = null; // Unread message badges on the header links
+let userRequests = []; // Signed-in user's requests, to spot repeat requests
+let unsubscribeUserRequests = null;
+let catalogUpdatedAt = null; // When the items on screen last came from the server
+let usingSavedCatalog = false; // Showing the offline copy because Firestore is unreachable
+let hasServerItems = false; // Items have come from the server at least once
+let isFlushingQueue = false;
 
 // =====================================================
 // DOM ELEMENTS
@@ -32,11 +77,20 @@ const tagFiltersContainer = document.getElementById("tag-filter-dropdown-menu");
 const tagFilterDropdownBtn = document.getElementById("tag-filter-dropdown-btn");
 const tagFilterDropdownText = document.getElementById("tag-filter-dropdown-text");
 const sortSelect = document.getElementById("sort-select");
+const searchInput = document.getElementById("search-input");
+const showClaimedToggle = document.getElementById("show-claimed-toggle");
+const priceMinInput = document.getElementById("price-min-input");
+const priceMaxInput = document.getElementById("price-max-input");
+const freeOnlyToggle = document.getElementById("free-only-toggle");
+const availableNowToggle = document.getElementById("available-now-toggle");
+const favoritesOnlyToggle = document.getElementById("favorites-only-toggle");
 const noResults = document.getElementById("no-results");
 const clearFiltersBtn = document.getElementById("clear-filters");
 const modalOverlay = document.getElementById("modal-overlay");
 const modalBody = document.getElementById("modal-body");
 const modalClose = document.getElementById("modal-close");
+const offlineBanner = document.getElementById("offline-banner");
+const offlineBannerText = document.getElementById("offline-banner-text");
 
 // Fullscreen viewer elements
 const fullscreenViewer = document.getElementById("fullscreen-viewer");
@@ -146,15 +200,10 @@ function closeMobileMenu() {
 // =====================================================
 // HERO GLOBE
 // =====================================================
-function initHeroGlobe() {
+function initHeroGlobe({ origin, destination }) {
   const globeContainer = document.getElementById('hero-globe');
   if (!globeContainer || typeof Globe === 'undefined') return;
 
-  // Denver, CO coordinates
-  const denver = { lat: 39.7392, lng: -104.9903, name: 'Denver' };
-  // Berlin, Germany coordinates
-  const berlin = { lat: 52.5200, lng: 13.4050, name: 'Berlin' };
-
   // Get theme-based colors
   const isDark = document.documentElement.getAttribute('data-theme') !== 'light';
   
@@ -190,10 +239,10 @@ function initHeroGlobe() {
     
     // Add subtle base arc first (always visible track)
     arcs.push({
-      startLat: denver.lat,
-      startLng: denver.lng,
-      endLat: berlin.lat,
-      endLng: berlin.lng,
+      startLat: origin.lat,
+      startLng: origin.lng,
+      endLat: destination.lat,
+      endLng: destination.lng,
       color: `rgba(${colorStart.r}, ${colorStart.g}, ${colorStart.b}, 0.15)`,
       stroke: 0.2,
       dashLength: 1,
@@ -234,10 +283,10 @@ function initHeroGlobe() {
       const animOffset = easeOutCubic(tDithered) * 400;
       
       arcs.push({
-        startLat: denver.lat,
-        startLng: denver.lng,
-        endLat: berlin.lat,
-        endLng: berlin.lng,
+        startLat: origin.lat,
+        startLng: origin.lng,
+        endLat: destination.lat,
+        endLng: destination.lng,
         color: `rgba(${r}, ${g}, ${b}, ${opacity.toFixed(3)})`,
         stroke: stroke,
         dashLength: dashLength,
@@ -266,30 +315,30 @@ function initHeroGlobe() {
     .arcStroke('stroke')
     .arcAltitude('altitude')
     // Point markers for cities (small glowing dots)
-    .pointsData([denver, berlin])
+    .pointsData([origin, destination])
     .pointColor(() => colors.point)
     .pointAltitude(0.005)
     .pointRadius(0.6)
     .pointsMerge(true)
     (globeContainer);
 
-  // Camera animation: start at Denver, smoothly travel to Berlin in one continuous motion
+  // Camera animation: start at the origin, smoothly travel to the destination in one continuous motion
   const isMobile = window.innerWidth < 768;
   const altitudeStart = isMobile ? 1.8 : 1.4;
-  // Higher altitude for mobile to ensure Berlin is fully visible and centered
+  // Higher altitude for mobile to ensure the destination is fully visible and centered
   const altitudeEnd = isMobile ? 2.5 : 2.0;
   
-  // Start camera at Denver (instant, no transition)
-  globe.pointOfView({ lat: denver.lat, lng: denver.lng, altitude: altitudeStart }, 0);
+  // Start camera at the origin (instant, no transition)
+  globe.pointOfView({ lat: origin.lat, lng: origin.lng, altitude: altitudeStart }, 0);
   
   // Fade in the globe after 0.5s delay to hide the initial positioning spin
   setTimeout(() => {
     globeContainer.classList.add('globe-ready');
   }, 500);
   
-  // After a brief pause, smoothly animate camera all the way to Berlin in one continuous motion
+  // After a brief pause, smoothly animate camera all the way to the destination in one continuous motion
   setTimeout(() => {
-    globe.pointOfView({ lat: berlin.lat, lng: berlin.lng, altitude: altitudeEnd }, 8000);
+    globe.pointOfView({ lat: destination.lat, lng: destination.lng, altitude: altitudeEnd }, 8000);
   }, 1800);
 
   // Subtle auto-rotation
@@ -372,9 +421,14 @@ function initHeroGlobe() {
 // =====================================================
 async function init() {
   initTheme();
-  initHeroGlobe();
+  registerServiceWorker();
+  initInstallPrompt();
+  readStateFromUrl();
   bindGlobalEvents();
+  watchConnection(handleConnectionChange);
   watchAuth();
+  loadPickupSlots();
+  loadSiteSettings();
   await loadItems();
   setupEventListeners();
 }
@@ -425,6 +479,23 @@ function watchAuth() {
     currentUser = user;
     isAdmin = await checkIsAdmin(user?.uid);
     updateAuthUI();
+    stopUnreadBadges?.();
+    stopUnreadBadges = watchUnreadBadges(user, isAdmin, {
+      profileLinks: [profileLink, profileLinkMobile],
+      adminLinks: [adminLink, adminLinkMobile],
+    });
+    unsubscribeUserRequests?.();
+    unsubscribeUserRequests = null;
+    userRequests = [];
+    if (user) {
+      unsubscribeUserRequests = subscribeToUserRequests(user.uid, (requests) => {
+        userRequests = requests;
+      });
+    }
+    stopFavorites?.();
+    stopFavorites = watchFavorites(user, handleFavoritesChange);
+    updateOfflineBanner();
+    sendQueuedRequests();
   });
 }
 
@@ -462,23 +533,83 @@ function updateAuthUI() {
 // =====================================================
 // DATA LOADING
 // =====================================================
-async function loadItems() {
-  try {
-    const q = query(collection(db, "items"), orderBy("name"));
-    const snapshot = await getDocs(q);
-    allItems = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-    const uniqueTags = extractUniqueTags(allItems);
-    renderTagFilters(uniqueTags);
-    filteredItems = [...allItems];
-    applyFiltersAndSort();
-  } catch (error) {
-    console.error("Error loading items:", error);
-    productsGrid.innerHTML = `
-      <div style="grid-column: 1/-1; text-align: center; padding: 3rem;">
-        <p style="color: var(--color-text-muted);">Error loading items. Please refresh the page.</p>
-      </div>
-    `;
-  }
+// Subscribe to live item updates. Resolves once the first snapshot renders.
+function loadItems() {
+  return new Promise((resolve) => {
+    let hasLoaded = false;
+
+    const showItems = (items, changedIds = []) => {
+      allItems = items;
+      const uniqueTags = extractUniqueTags(allItems);
+      if (!hasLoaded) {
+        renderTagFilters(uniqueTags);
+        filteredItems = [...allItems];
+        applyFiltersAndSort();
+        hasLoaded = true;
+        openPendingUrlItem();
+        resolve();
+      } else {
+        // Re-render in place without replaying the card entrance animation
+        skipEntranceAnimation = true;
+        updateTagFilters(uniqueTags);
+        applyFiltersAndSort();
+        skipEntranceAnimation = false;
+        markUpdatedCards(changedIds);
+      }
+    };
+
+    // Fall back to the last catalog saved while online
+    const showSavedCatalog = () => {
+      if (usingSavedCatalog) return true;
+      const snapshot = loadCatalogSnapshot();
+      if (!snapshot) return false;
+      usingSavedCatalog = true;
+      catalogUpdatedAt = snapshot.savedAt;
+      showItems(snapshot.items);
+      updateOfflineBanner();
+      return true;
+    };
+
+    // Offline on arrival: show the saved catalog straight away
+    if (isOffline()) showSavedCatalog();
+
+    subscribeToItems(
+      (items, changedIds, { fromCache }) => {
+        // Until the server answers, Firestore's own cache may be empty; the saved catalog is better
+        if (fromCache && !hasServerItems && showSavedCatalog()) return;
+        if (!fromCache) {
+          hasServerItems = true;
+          usingSavedCatalog = false;
+          catalogUpdatedAt = new Date();
+          saveCatalogSnapshot(items, catalogUpdatedAt);
+          updateOfflineBanner();
+        }
+        showItems(items, changedIds);
+        // Queued requests wait for live items so each one's item can be checked first
+        if (!fromCache) sendQueuedRequests();
+      },
+      () => {
+        if (!showSavedCatalog()) {
+          productsGrid.innerHTML = `
+            <div style="grid-column: 1/-1; text-align: center; padding: 3rem;">
+              <p style="color: var(--color-text-muted);">Error loading items. Please refresh the page.</p>
+            </div>
+          `;
+        }
+        resolve();
+      }
+    );
+  });
+}
+
+// Briefly highlight cards whose items changed since the last snapshot
+function markUpdatedCards(changedIds) {
+  changedIds.forEach((id) => {
+    const card = productsGrid.querySelector(`[data-item-id="${CSS.escape(id)}"]`);
+    if (!card) return;
+    card.classList.add("is-updated");
+    card.addEventListener("animationend", () => card.classList.remove("is-updated"), { once: true });
+  });
 }
 
 // Helper function to normalize tags (lowercase for comparison)
@@ -518,34 +649,50 @@ function extractUniqueTags(items) {
 // =====================================================
 let allAvailableTags = [];
 
-function renderTagFilters(tags) {
+function renderTagFilters(tags, preserveSelection = false) {
+  const previousTags = new Set(allAvailableTags.map(([normalizedTag]) => normalizedTag));
   allAvailableTags = tags;
   if (!tagFiltersContainer) return;
   
   tagFiltersContainer.innerHTML = "";
   
-  // Ensure dropdown is hidden initially
-  tagFiltersContainer.hidden = true;
-  if (tagFilterDropdownBtn) {
-    tagFilterDropdownBtn.setAttribute("aria-expanded", "false");
-  }
+  if (preserveSelection) {
+    // Keep the visitor's choices; tags that just appeared start active
+    const nextActive = new Set();
+    tags.forEach(([normalizedTag]) => {
+      if (activeTags.has(normalizedTag) || !previousTags.has(normalizedTag)) {
+        nextActive.add(normalizedTag);
+      }
+    });
+    activeTags = nextActive;
+  } else {
+    // Ensure dropdown is hidden initially
+    tagFiltersContainer.hidden = true;
+    if (tagFilterDropdownBtn) {
+      tagFilterDropdownBtn.setAttribute("aria-expanded", "false");
+    }
 
-  // Initialize all tags as active by default
-  activeTags.clear();
-  tags.forEach(([normalizedTag]) => {
-    activeTags.add(normalizedTag);
-  });
+    // Initialize all tags as active by default, unless the URL picked some
+    activeTags.clear();
+    tags.forEach(([normalizedTag]) => {
+      if (!pendingUrlTags || pendingUrlTags.includes(normalizedTag)) {
+        activeTags.add(normalizedTag);
+      }
+    });
+    pendingUrlTags = null;
+  }
 
   tags.forEach(([normalizedTag, displayTag]) => {
+    const isActive = activeTags.has(normalizedTag);
     const label = document.createElement("label");
     label.className = "tag-filter-option";
     label.setAttribute("role", "menuitemcheckbox");
-    label.setAttribute("aria-checked", "true");
+    label.setAttribute("aria-checked", isActive ? "true" : "false");
     
     const checkbox = document.createElement("input");
     checkbox.type = "checkbox";
     checkbox.className = "tag-filter-checkbox";
-    checkbox.checked = true;
+    checkbox.checked = isActive;
     checkbox.setAttribute("data-tag", normalizedTag);
     checkbox.addEventListener("change", () => toggleTagFilter(normalizedTag, checkbox));
     
@@ -562,6 +709,15 @@ function renderTagFilters(tags) {
   applyFiltersAndSort();
 }
 
+// Re-render tag filters after a live update, only if the set of tags changed
+function updateTagFilters(tags) {
+  const current = allAvailableTags.map(([normalizedTag, displayTag]) => `${normalizedTag}|${displayTag}`).join(",");
+  const next = tags.map(([normalizedTag, displayTag]) => `${normalizedTag}|${displayTag}`).join(",");
+  if (current !== next) {
+    renderTagFilters(tags, true);
+  }
+}
+
 function toggleTagFilter(tag, checkbox) {
   if (checkbox.checked) {
     activeTags.add(tag);
@@ -592,6 +748,20 @@ function updateFilterButtonText() {
 }
 
 function clearAllFilters() {
+  // Clear the search box
+  setSearchQuery("");
+
+  // Clear the price range and free-only toggle
+  setPriceFilter(null, null, false);
+
+  // Reset availability toggles to their defaults (claimed hidden, any date)
+  showClaimed = false;
+  if (showClaimedToggle) showClaimedToggle.checked = false;
+  availableNowOnly = false;
+  if (availableNowToggle) availableNowToggle.checked = false;
+  favoritesOnly = false;
+  if (favoritesOnlyToggle) favoritesOnlyToggle.checked = false;
+
   // Set all tags to active (default state)
   activeTags.clear();
   allAvailableTags.forEach(([normalizedTag]) => {
@@ -611,23 +781,44 @@ function clearAllFilters() {
 }
 
 function applyFiltersAndSort() {
+  // Gone items never show on the storefront; claimed items only on request
+  const visibleItems = allItems.filter((item) => {
+    if (isGone(item)) return false;
+    if (isClaimed(item) && !showClaimed) return false;
+    if (availableNowOnly && !isAvailableNow(item)) return false;
+    if (favoritesOnly && !favoriteIds.has(item.id)) return false;
+    return true;
+  });
+
   // If all tags are active, show all items
   // If no tags are active, show nothing
   // Otherwise, filter by active tags
   if (activeTags.size === allAvailableTags.length) {
-    filteredItems = [...allItems];
+    filteredItems = [...visibleItems];
   } else if (activeTags.size === 0) {
     filteredItems = [];
   } else {
-    filteredItems = allItems.filter((item) => {
+    filteredItems = visibleItems.filter((item) => {
       if (!item.tags || !Array.isArray(item.tags)) return false;
       // Normalize item tags for case-insensitive comparison
       return item.tags.some((tag) => activeTags.has(normalizeTag(tag)));
     });
   }
 
+  // Narrow down by price range / free only
+  if (hasPriceFilter()) {
+    filteredItems = filteredItems.filter(matchesPriceFilter);
+  }
+
+  // Narrow down by search terms (every term must match somewhere)
+  const searchTerms = getSearchTerms();
+  if (searchTerms.length) {
+    filteredItems = filteredItems.filter((item) => matchesSearch(item, searchTerms));
+  }
+
   sortItems();
   renderItems();
+  syncStateToUrl();
 
   if (filteredItems.length === 0) {
     noResults.removeAttribute("hidden");
@@ -638,121 +829,446 @@ function applyFiltersAndSort() {
   }
 }
 
-function getPriceSortValue(price) {
-  if (price === null || price === undefined) {
-    return Infinity; // Put null/undefined prices at the end
-  }
-  
-  // If price is 0 (number), return 0
-  if (price === 0) {
-    return 0;
+// =====================================================
+// PICKUP SLOTS
+// =====================================================
+// Kept live so the request form always offers current openings
+function loadPickupSlots() {
+  subscribeToPickupSlots(
+    (slots) => {
+      pickupSlots = slots;
+    },
+    () => {
+      pickupSlots = [];
+    }
+  );
+}
+
+// =====================================================
+// SITE SETTINGS
+// =====================================================
+// Hero copy and the globe come from the settings doc; re-sort when an
+// admin changes the category order
+function loadSiteSettings() {
+  let globeStarted = false;
+  subscribeToSiteSettings((settings) => {
+    siteSettings = settings;
+    applyHeroSettings(settings);
+    // The globe animates once per visit, so place changes show on reload
+    if (!globeStarted) {
+      globeStarted = true;
+      initHeroGlobe(settings);
+    }
+    if (allItems.length) {
+      skipEntranceAnimation = true;
+      applyFiltersAndSort();
+      skipEntranceAnimation = false;
+    }
+  });
+}
+
+function applyHeroSettings(settings) {
+  const setText = (el, text) => {
+    if (el) el.textContent = text;
+  };
+  setText(document.getElementById("hero-eyebrow"), getHeroEyebrow(settings));
+  const countdown = document.getElementById("hero-countdown");
+  if (countdown) {
+    countdown.textContent = getMoveCountdown(settings);
+    countdown.hidden = !countdown.textContent;
   }
-  
-  // If price is a number, return it
-  if (typeof price === "number") {
-    return price;
+  setText(document.getElementById("hero-title-main"), settings.heroTitle);
+  setText(document.getElementById("hero-title-accent"), settings.heroTitleAccent);
+  setText(document.getElementById("hero-description"), settings.heroDescription);
+  document.querySelector('meta[name="description"]')?.setAttribute("content", settings.metaDescription);
+}
+
+// =====================================================
+// OFFLINE
+// =====================================================
+let bannerNoticeTimer = null;
+
+function handleConnectionChange() {
+  updateOfflineBanner();
+  sendQueuedRequests();
+}
+
+// e.g. "You're offline · Items last updated 3:42 PM · 1 request waiting to send"
+function updateOfflineBanner() {
+  if (!offlineBanner || bannerNoticeTimer) return;
+  const offline = isOffline();
+  if (!offline && !usingSavedCatalog) {
+    offlineBanner.hidden = true;
+    return;
   }
-  
-  // If price is a string, try to extract a numeric value
-  if (typeof price === "string") {
-    const trimmed = price.trim();
-    
-    // Check if it's a single number
-    const numberMatch = trimmed.match(/^\d+$/);
-    if (numberMatch) {
-      return parseInt(numberMatch[0], 10);
+  const queued = currentUser ? getQueuedRequests(currentUser.uid).length : 0;
+  offlineBannerText.textContent = [
+    offline ? "You're offline" : "Can't reach the server",
+    catalogUpdatedAt ? `Items last updated ${formatLastUpdated(catalogUpdatedAt)}` : "",
+    queued ? `${queued} request${queued !== 1 ? "s" : ""} waiting to send` : "",
+  ].filter(Boolean).join(" · ");
+  offlineBanner.hidden = false;
+}
+
+// Show a one-off message in the banner for a few seconds
+function showBannerNotice(message) {
+  if (!offlineBanner) return;
+  clearTimeout(bannerNoticeTimer);
+  offlineBannerText.textContent = message;
+  offlineBanner.hidden = false;
+  bannerNoticeTimer = setTimeout(() => {
+    bannerNoticeTimer = null;
+    updateOfflineBanner();
+  }, 6000);
+}
+
+// Firestore reports a lost connection as "unavailable"
+function isConnectionError(err) {
+  return isOffline() || err?.code === "unavailable";
+}
+
+// Send requests queued while offline, oldest first
+async function sendQueuedRequests() {
+  if (!currentUser || isOffline() || !hasServerItems || isFlushingQueue) return;
+  const queued = getQueuedRequests(currentUser.uid);
+  if (!queued.length) return;
+
+  isFlushingQueue = true;
+  const sent = [];
+  const failed = [];
+  for (const entry of queued) {
+    const itemName = entry.itemName || "an item";
+    // The item may have been claimed or removed while this was waiting
+    const item = allItems.find((i) => i.id === entry.itemId);
+    if (!item || !isRequestable(item)) {
+      failed.push(`${itemName} is no longer available`);
+      removeQueuedRequest(entry.queueId);
+      continue;
     }
-    
-    // Check if it's a range (extract first number)
-    const rangeMatch = trimmed.match(/^(\d+)\s*-\s*\d+$/);
-    if (rangeMatch) {
-      return parseInt(rangeMatch[1], 10);
+    try {
+      try {
+        await submitRequest(entry);
+      } catch (err) {
+        // The pickup time filled up while offline; send it without one
+        // (a new time can be picked on the profile page)
+        if (err.code !== SLOT_FULL) throw err;
+        await submitRequest({ ...entry, slotId: null });
+      }
+      sent.push(entry.itemName);
+      removeQueuedRequest(entry.queueId);
+    } catch (err) {
+      if (isConnectionError(err)) break; // Try again when the connection is back
+      console.error("Failed to send queued request", err);
+      // An open request for the item already exists, or it can't be sent at all
+      failed.push(err.code === DUPLICATE_REQUEST
+        ? `You already have an open request for ${itemName}`
+        : `Couldn't send your request for ${itemName}`);
+      removeQueuedRequest(entry.queueId);
     }
-    
-    // For custom strings, return a large number to sort them after numeric prices
-    // Or we could sort alphabetically, but numeric sorting is more useful
-    return Infinity;
   }
-  
-  return Infinity;
-}
+  isFlushingQueue = false;
 
-// Helper function to get price sort value for default sort
-// Returns an object with { hasPrice: boolean, priceValue: number }
-// Free items and items without numerical price get hasPrice: false
-function getDefaultPriceSortValue(price) {
-  if (price === null || price === undefined) {
-    return { hasPrice: false, priceValue: Infinity };
+  const notices = [...failed];
+  if (sent.length) {
+    notices.unshift(`✓ Sent your request${sent.length !== 1 ? "s" : ""} for ${sent.join(", ")}`);
   }
-  
-  // If price is 0 (number), it's free
-  if (price === 0) {
-    return { hasPrice: false, priceValue: 0 };
+  if (notices.length) {
+    showBannerNotice(notices.join(" · "));
+  } else {
+    updateOfflineBanner();
   }
-  
-  // If price is a number (not 0), return it
-  if (typeof price === "number") {
-    return { hasPrice: true, priceValue: price };
+}
+
+// =====================================================
+// FAVORITES
+// =====================================================
+function handleFavoritesChange(ids) {
+  favoriteIds = ids;
+  document.querySelectorAll(".favorite-btn").forEach(updateFavoriteButton);
+  // Unsaving an item while filtering by favorites hides it
+  if (favoritesOnly && allItems.length) {
+    skipEntranceAnimation = true;
+    applyFiltersAndSort();
+    skipEntranceAnimation = false;
   }
-  
-  // If price is a string, try to extract a numeric value
-  if (typeof price === "string") {
-    const trimmed = price.trim();
-    
-    // Check if it's a single number
-    const numberMatch = trimmed.match(/^\d+$/);
-    if (numberMatch) {
-      return { hasPrice: true, priceValue: parseInt(numberMatch[0], 10) };
-    }
-    
-    // Check if it's a range (extract first number - the smaller price)
-    const rangeMatch = trimmed.match(/^(\d+)\s*-\s*\d+$/);
-    if (rangeMatch) {
-      return { hasPrice: true, priceValue: parseInt(rangeMatch[1], 10) };
+}
+
+function updateFavoriteButton(button) {
+  const isFavorite = favoriteIds.has(button.dataset.itemId);
+  button.classList.toggle("is-favorite", isFavorite);
+  button.setAttribute("aria-pressed", String(isFavorite));
+  button.setAttribute("aria-label", isFavorite ? "Remove from favorites" : "Save to favorites");
+  button.querySelector("i").className = `${isFavorite ? "fas" : "far"} fa-heart`;
+  const label = button.querySelector("span");
+  if (label) label.textContent = isFavorite ? "Saved" : "Save";
+}
+
+// Heart toggle for a card (icon only) or the modal (withLabel)
+function createFavoriteButton(item, { withLabel = false } = {}) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = withLabel ? "favorite-btn favorite-btn--labeled modal-share-btn" : "favorite-btn";
+  button.dataset.itemId = item.id;
+  button.innerHTML = `<i aria-hidden="true"></i>${withLabel ? "<span></span>" : ""}`;
+  updateFavoriteButton(button);
+
+  button.addEventListener("click", async (e) => {
+    // Cards open the modal on click
+    e.stopPropagation();
+    const favorite = !favoriteIds.has(item.id);
+    // Flip right away; the favorites listener confirms it
+    const ids = new Set(favoriteIds);
+    if (favorite) ids.add(item.id);
+    else ids.delete(item.id);
+    handleFavoritesChange(ids);
+    try {
+      await setFavorite(currentUser, item.id, favorite);
+    } catch (err) {
+      console.error("Failed to update favorites", err);
+      const reverted = new Set(favoriteIds);
+      if (favorite) reverted.delete(item.id);
+      else reverted.add(item.id);
+      handleFavoritesChange(reverted);
     }
-    
-    // For custom strings (non-numeric), treat as no price
-    return { hasPrice: false, priceValue: Infinity };
+  });
+  button.addEventListener("keydown", (e) => {
+    // Keep Enter/Space from also opening the card's modal
+    if (e.key === "Enter" || e.key === " ") e.stopPropagation();
+  });
+  return button;
+}
+
+// =====================================================
+// URL STATE
+// =====================================================
+// Filters, sort, search and the open item live in the query string so a
+// link like ?tags=kitchen&sort=lowest&item=abc123 reopens the same view.
+const SORT_OPTIONS = ["default", "lowest", "highest", "alphabetical"];
+let pendingUrlTags = null; // Tags from the URL, applied once tags are known
+let pendingUrlItemId = null; // Item to open once items have loaded
+let openItemId = null; // Item currently shown in the modal
+
+function readStateFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+
+  setSearchQuery(params.get("q") || "");
+
+  const sort = params.get("sort");
+  currentSort = SORT_OPTIONS.includes(sort) ? sort : "default";
+  if (sortSelect) sortSelect.value = currentSort;
+
+  showClaimed = params.get("claimed") === "1";
+  if (showClaimedToggle) showClaimedToggle.checked = showClaimed;
+
+  availableNowOnly = params.get("now") === "1";
+  if (availableNowToggle) availableNowToggle.checked = availableNowOnly;
+
+  favoritesOnly = params.get("fav") === "1";
+  if (favoritesOnlyToggle) favoritesOnlyToggle.checked = favoritesOnly;
+
+  // "tags" present but empty means no tags selected
+  pendingUrlTags = params.has("tags")
+    ? params.get("tags").split(",").map(normalizeTag).filter(Boolean)
+    : null;
+
+  setPriceFilter(
+    parsePriceBound(params.get("min")),
+    parsePriceBound(params.get("max")),
+    params.get("free") === "1"
+  );
+
+  pendingUrlItemId = params.get("item");
+}
+
+function buildStateUrl({ includeItem = true } = {}) {
+  const url = new URL(window.location.href);
+  const params = new URLSearchParams();
+
+  const query = searchQuery.trim();
+  if (query) params.set("q", query);
+
+  // Only write tags when the selection differs from "all tags"
+  if (allAvailableTags.length && activeTags.size !== allAvailableTags.length) {
+    params.set("tags", Array.from(activeTags).join(","));
   }
-  
-  return { hasPrice: false, priceValue: Infinity };
+
+  if (currentSort !== "default") params.set("sort", currentSort);
+  if (priceMin !== null) params.set("min", String(priceMin));
+  if (priceMax !== null) params.set("max", String(priceMax));
+  if (freeOnly) params.set("free", "1");
+  if (showClaimed) params.set("claimed", "1");
+  if (availableNowOnly) params.set("now", "1");
+  if (favoritesOnly) params.set("fav", "1");
+  if (includeItem && openItemId) params.set("item", openItemId);
+
+  url.search = params.toString();
+  return url;
+}
+
+function syncStateToUrl() {
+  window.history.replaceState(null, "", buildStateUrl());
+}
+
+// Open the item named in the URL, if it exists
+function openPendingUrlItem() {
+  if (!pendingUrlItemId) return;
+  const item = allItems.find((i) => i.id === pendingUrlItemId);
+  pendingUrlItemId = null;
+  if (item) {
+    openModal(item);
+  } else {
+    syncStateToUrl();
+  }
+}
+
+// =====================================================
+// PRICE FILTER
+// =====================================================
+// Items are compared by the lowest amount they ask for, so a "$20–$50"
+// range matches a budget of $20. "Make an offer" and unpriced items have no
+// amount and drop out whenever a price filter is active.
+function parsePriceBound(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+function setPriceFilter(min, max, onlyFree) {
+  priceMin = min;
+  priceMax = max;
+  freeOnly = onlyFree;
+  if (priceMinInput) priceMinInput.value = min ?? "";
+  if (priceMaxInput) priceMaxInput.value = max ?? "";
+  if (freeOnlyToggle) freeOnlyToggle.checked = onlyFree;
+}
+
+function hasPriceFilter() {
+  return freeOnly || priceMin !== null || priceMax !== null;
+}
+
+function matchesPriceFilter(item) {
+  if (freeOnly && !isFree(item.price)) return false;
+
+  const value = getPriceSortValue(item.price);
+  if (value === Infinity) return false;
+  if (priceMin !== null && value < priceMin) return false;
+  if (priceMax !== null && value > priceMax) return false;
+  return true;
+}
+
+// =====================================================
+// SEARCH
+// =====================================================
+function setSearchQuery(query) {
+  searchQuery = query;
+  if (searchInput && searchInput.value !== query) {
+    searchInput.value = query;
+  }
+}
+
+function getSearchTerms() {
+  return searchQuery
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function matchesSearch(item, terms) {
+  const haystack = [
+    item.name || "",
+    item.description || "",
+    ...(Array.isArray(item.tags) ? item.tags : []),
+  ]
+    .join(" ")
+    .toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Build a fragment of text with search terms wrapped in <mark>
+function highlightText(text, terms) {
+  const fragment = document.createDocumentFragment();
+  if (!terms.length || !text) {
+    fragment.appendChild(document.createTextNode(text || ""));
+    return fragment;
+  }
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  text.split(pattern).forEach((part, index) => {
+    if (!part) return;
+    // Odd indexes are the captured matches
+    if (index % 2 === 1) {
+      const mark = document.createElement("mark");
+      mark.className = "search-highlight";
+      mark.textContent = part;
+      fragment.appendChild(mark);
+    } else {
+      fragment.appendChild(document.createTextNode(part));
+    }
+  });
+  return fragment;
+}
+
+// Short excerpt of a longer text centered on the first matching term
+function getSearchSnippet(text, terms, radius = 40) {
+  const lower = text.toLowerCase();
+  const index = terms
+    .map((term) => lower.indexOf(term))
+    .filter((i) => i !== -1)
+    .sort((a, b) => a - b)[0];
+  if (index === undefined) return null;
+
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + radius);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end).trim()}${end < text.length ? "…" : ""}`;
 }
 
 // Helper function to get category priority for default sort
-// Returns the index in the priority list, or -1 if not found
+// Returns the item's earliest tag in the configured category order.
+// Items with no ranked tag go with "misc" (or last if "misc" isn't listed).
 function getCategoryPriority(item) {
-  const categoryOrder = ["furniture", "kitchen", "electronics", "decoration", "cats", "misc"];
-  const ignoreTags = ["available now", "available feb"];
+  const { categoryOrder, ignoredTags } = siteSettings;
+  const fallback = categoryOrder.includes("misc") ? categoryOrder.indexOf("misc") : categoryOrder.length;
   
   if (!item.tags || !Array.isArray(item.tags)) {
-    return categoryOrder.indexOf("misc"); // No tags = misc
+    return fallback; // No tags = misc
   }
   
   // Find the earliest tag in the priority list
-  let earliestIndex = -1;
   let earliestPriority = Infinity;
   
   for (const tag of item.tags) {
     const normalizedTag = normalizeTag(tag);
     
     // Skip ignored tags
-    if (ignoreTags.includes(normalizedTag)) {
+    if (ignoredTags.includes(normalizedTag)) {
       continue;
     }
     
     const priority = categoryOrder.indexOf(normalizedTag);
     if (priority !== -1 && priority < earliestPriority) {
       earliestPriority = priority;
-      earliestIndex = priority;
     }
   }
   
   // If no matching tag found, put in misc
-  if (earliestIndex === -1) {
-    return categoryOrder.indexOf("misc");
+  return earliestPriority === Infinity ? fallback : earliestPriority;
+}
+
+// Compare two items by the lowest amount their price asks for (direction
+// 1 = lowest first, -1 = highest first). Items without an amount
+// ("make an offer", no price) sort last either way.
+function comparePrices(a, b, direction = 1) {
+  const aVal = getPriceSortValue(a.price);
+  const bVal = getPriceSortValue(b.price);
+  if (aVal === Infinity || bVal === Infinity) {
+    if (aVal !== bVal) return aVal === Infinity ? 1 : -1;
+    return (a.name || "").toLowerCase().localeCompare((b.name || "").toLowerCase());
   }
-  
-  return earliestIndex;
+  return (aVal - bVal) * direction;
 }
 
 function sortItems() {
@@ -768,19 +1284,19 @@ function sortItems() {
         }
         
         // Within the same category, sort by price
-        const aPrice = getDefaultPriceSortValue(a.price);
-        const bPrice = getDefaultPriceSortValue(b.price);
-        
-        // Items with prices come first (most expensive first)
-        // Free items and items without numerical price come after
-        if (aPrice.hasPrice !== bPrice.hasPrice) {
-          return aPrice.hasPrice ? -1 : 1; // hasPrice: true comes first
+        // Items with an amount come first (most expensive first);
+        // free, "make an offer" and unpriced items come after
+        const aHasPrice = hasAmount(a.price);
+        const bHasPrice = hasAmount(b.price);
+        if (aHasPrice !== bHasPrice) {
+          return aHasPrice ? -1 : 1;
         }
-        
-        // If both have prices, sort by price value (highest first)
-        if (aPrice.hasPrice && bPrice.hasPrice) {
-          if (aPrice.priceValue !== bPrice.priceValue) {
-            return bPrice.priceValue - aPrice.priceValue; // Reverse: highest first
+
+        if (aHasPrice && bHasPrice) {
+          const aPrice = getPriceSortValue(a.price);
+          const bPrice = getPriceSortValue(b.price);
+          if (aPrice !== bPrice) {
+            return bPrice - aPrice; // Reverse: highest first
           }
         }
         
@@ -791,30 +1307,10 @@ function sortItems() {
       });
       break;
     case "lowest":
-      filteredItems.sort((a, b) => {
-        const aVal = getPriceSortValue(a.price);
-        const bVal = getPriceSortValue(b.price);
-        if (aVal === bVal && aVal === Infinity) {
-          // Both are custom strings, sort alphabetically by price string
-          const aStr = String(a.price || "");
-          const bStr = String(b.price || "");
-          return aStr.localeCompare(bStr);
-        }
-        return aVal - bVal;
-      });
+      filteredItems.sort((a, b) => comparePrices(a, b, 1));
       break;
     case "highest":
-      filteredItems.sort((a, b) => {
-        const aVal = getPriceSortValue(a.price);
-        const bVal = getPriceSortValue(b.price);
-        if (aVal === bVal && aVal === Infinity) {
-          // Both are custom strings, sort alphabetically by price string
-          const aStr = String(a.price || "");
-          const bStr = String(b.price || "");
-          return bStr.localeCompare(aStr);
-        }
-        return bVal - aVal;
-      });
+      filteredItems.sort((a, b) => comparePrices(a, b, -1));
       break;
     case "alphabetical":
       filteredItems.sort((a, b) => {
@@ -844,7 +1340,9 @@ function createProductCard(item, index) {
   card.setAttribute("role", "listitem");
   card.setAttribute("tabindex", "0");
   card.setAttribute("aria-label", `Product: ${item.name}`);
+  card.dataset.itemId = item.id;
   card.style.animationDelay = `${Math.min(index * 0.05, 0.4)}s`;
+  if (skipEntranceAnimation) card.classList.add("no-entrance");
 
   // Get images array - support both old img and new images array
   const images = getItemImages(item);
@@ -871,6 +1369,7 @@ function createProductCard(item, index) {
   };
 
   imageWrapper.appendChild(image);
+  imageWrapper.appendChild(createFavoriteButton(item));
 
   // Add carousel indicator if multiple images
   if (images.length > 1) {
@@ -880,16 +1379,28 @@ function createProductCard(item, index) {
     imageWrapper.appendChild(indicator);
   }
 
+  // Availability badge (only when the item is not plainly available),
+  // otherwise its pickup window if it has one
+  const availability = getAvailabilityMeta(item);
+  if (availability.value !== "available") {
+    imageWrapper.appendChild(createAvailabilityBadge(availability));
+    card.classList.add(`product-card--${availability.value}`);
+  } else if (getAvailabilityDateLabel(item)) {
+    imageWrapper.appendChild(createAvailabilityDateBadge(item));
+  }
+
   const info = document.createElement("div");
   info.className = "product-info";
 
+  const searchTerms = getSearchTerms();
+
   const name = document.createElement("h3");
   name.className = "product-name";
-  name.textContent = item.name || "Unnamed Item";
+  name.appendChild(highlightText(item.name || "Unnamed Item", searchTerms));
 
   const price = document.createElement("div");
   price.className = "product-price";
-  price.textContent = formatPrice(item.price);
+  price.textContent = formatPrice(item.price, "Price negotiable");
 
   const moreInfoBtn = document.createElement("button");
   moreInfoBtn.type = "button";
@@ -902,6 +1413,13 @@ function createProductCard(item, index) {
 
   info.appendChild(name);
   info.appendChild(price);
+
+  // When searching, show where the match was if it wasn't in the name
+  if (searchTerms.length) {
+    const matchNote = createSearchMatchNote(item, searchTerms);
+    if (matchNote) info.appendChild(matchNote);
+  }
+
   info.appendChild(moreInfoBtn);
 
   card.appendChild(imageWrapper);
@@ -918,6 +1436,49 @@ function createProductCard(item, index) {
   return card;
 }
 
+function createSearchMatchNote(item, terms) {
+  const nameLower = (item.name || "").toLowerCase();
+  const unmatchedTerms = terms.filter((term) => !nameLower.includes(term));
+  if (!unmatchedTerms.length) return null;
+
+  const note = document.createElement("p");
+  note.className = "product-search-match";
+
+  const matchingTags = (item.tags || []).filter((tag) =>
+    unmatchedTerms.some((term) => tag.toLowerCase().includes(term))
+  );
+  if (matchingTags.length) {
+    matchingTags.forEach((tag) => {
+      const tagElement = document.createElement("span");
+      tagElement.className = "product-tag";
+      tagElement.appendChild(highlightText(formatTagForDisplay(tag), terms));
+      note.appendChild(tagElement);
+    });
+    return note;
+  }
+
+  const snippet = getSearchSnippet(item.description || "", unmatchedTerms);
+  if (!snippet) return null;
+  note.appendChild(highlightText(snippet, terms));
+  return note;
+}
+
+function createAvailabilityBadge(availability) {
+  const badge = document.createElement("span");
+  badge.className = `availability-badge availability-badge--${availability.value}`;
+  badge.innerHTML = `<i class="fas ${availability.icon}" aria-hidden="true"></i><span>${availability.label}</span>`;
+  return badge;
+}
+
+// Badge for an item's pickup window, e.g. "Available in 12 days"
+function createAvailabilityDateBadge(item) {
+  return createAvailabilityBadge({
+    value: "dated",
+    label: getAvailabilityDateLabel(item),
+    icon: "fa-calendar-day",
+  });
+}
+
 function getItemImages(item) {
   // Support both new images array and legacy img field
   if (item.images && Array.isArray(item.images) && item.images.length > 0) {
@@ -936,40 +1497,6 @@ function normalizeImagePath(imgPath) {
   return imgPath;
 }
 
-function formatPrice(price) {
-  if (price === null || price === undefined) return "Price negotiable";
-  
-  // If price is 0 (number), display as "free"
-  if (price === 0) {
-    return "Free";
-  }
-  
-  // If price is a number (not 0), format with $ and OBO
-  if (typeof price === "number") {
-    return `$${price.toLocaleString()} OBO`;
-  }
-  
-  // If price is a string, check if it's a number or number range
-  if (typeof price === "string") {
-    const trimmed = price.trim();
-    
-    // Check if it's a single number or number range (e.g., "20-50", "100-429")
-    const numberPattern = /^\d+$/; // Single number
-    const rangePattern = /^\d+\s*-\s*\d+$/; // Number range like "20-50" or "20 - 50"
-    
-    if (numberPattern.test(trimmed) || rangePattern.test(trimmed)) {
-      // It's a number or range, format with $ and OBO
-      return `$${trimmed} OBO`;
-    }
-    
-    // Otherwise, return as-is (custom text)
-    return trimmed;
-  }
-  
-  // Fallback for any other type
-  return String(price);
-}
-
 // =====================================================
 // FULLSCREEN IMAGE VIEWER
 // =====================================================
@@ -1213,6 +1740,8 @@ function createImageCarousel(images, altText, item = null) {
 // =====================================================
 function openModal(item) {
   modalBody.innerHTML = "";
+  openItemId = item.id;
+  syncStateToUrl();
 
   // Get images array
   const images = getItemImages(item);
@@ -1256,7 +1785,14 @@ function openModal(item) {
 
   const price = document.createElement("div");
   price.className = "modal-price";
-  price.textContent = formatPrice(item.price);
+  price.textContent = formatPrice(item.price, "Price negotiable");
+
+  const availability = getAvailabilityMeta(item);
+  if (availability.value !== "available") {
+    price.appendChild(createAvailabilityBadge(availability));
+  } else if (getAvailabilityDateLabel(item)) {
+    price.appendChild(createAvailabilityDateBadge(item));
+  }
 
   const tagsContainer = document.createElement("div");
   tagsContainer.className = "modal-tags";
@@ -1284,6 +1820,8 @@ function openModal(item) {
     productLinkElement.innerHTML = '<i class="fas fa-link" aria-hidden="true"></i><span>Original Product</span>';
   }
 
+  const shareBtn = createShareButton(item);
+
   const requestSection = document.createElement("div");
   requestSection.className = "request-section";
 
@@ -1298,7 +1836,13 @@ function openModal(item) {
   requestContent.className = "request-content";
   requestContent.hidden = true;
 
-  if (!currentUser) {
+  if (!isRequestable(item)) {
+    // Claimed/gone items can no longer be requested
+    requestToggleBtn.disabled = true;
+    requestToggleBtn.classList.add("request-toggle-btn--disabled");
+    const unavailableText = availability.value === "gone" ? "This item is gone" : "This item has been claimed";
+    requestToggleBtn.innerHTML = `<i class="fas ${availability.icon}" aria-hidden="true"></i><span>${unavailableText}</span>`;
+  } else if (!currentUser) {
     const loginPrompt = document.createElement("p");
     loginPrompt.className = "request-login";
     loginPrompt.textContent = "Please login to request this item.";
@@ -1309,7 +1853,23 @@ function openModal(item) {
     loginBtn.addEventListener("click", () => authBtn.click());
     requestContent.appendChild(loginPrompt);
     requestContent.appendChild(loginBtn);
+  } else if (findOpenRequest(userRequests, item.id)) {
+    // One open request per item: point to the existing one instead of the form
+    requestToggleBtn.innerHTML = '<i class="fas fa-circle-check" aria-hidden="true"></i><span>You requested this</span>';
+    requestContent.appendChild(createExistingRequestNote(findOpenRequest(userRequests, item.id)));
   } else {
+    if (availability.value === "on_hold") {
+      const holdNote = document.createElement("p");
+      holdNote.className = "request-login";
+      holdNote.textContent = "This item is on hold for someone, but you can still request it in case it falls through.";
+      requestContent.appendChild(holdNote);
+    }
+    if (getQueuedRequests(currentUser.uid).some((entry) => entry.itemId === item.id)) {
+      const queuedNote = document.createElement("p");
+      queuedNote.className = "request-login";
+      queuedNote.textContent = "Your request for this item is waiting to be sent. Submitting again replaces it.";
+      requestContent.appendChild(queuedNote);
+    }
     const form = buildRequestForm(item);
     requestContent.appendChild(form);
   }
@@ -1337,9 +1897,14 @@ function openModal(item) {
   modalBody.appendChild(price);
   modalBody.appendChild(tagsContainer);
   modalBody.appendChild(description);
+  const linkRow = document.createElement("div");
+  linkRow.className = "modal-links";
   if (productLinkElement) {
-    modalBody.appendChild(productLinkElement);
+    linkRow.appendChild(productLinkElement);
   }
+  linkRow.appendChild(createFavoriteButton(item, { withLabel: true }));
+  linkRow.appendChild(shareBtn);
+  modalBody.appendChild(linkRow);
   modalBody.appendChild(requestSection);
 
   modalOverlay.classList.add("open");
@@ -1348,6 +1913,54 @@ function openModal(item) {
   document.body.style.overflow = "hidden";
 }
 
+// Status of the user's open request for an item, with a link to edit it
+function createExistingRequestNote(request) {
+  const statusMeta = getStatusMeta(request.status);
+  const note = document.createElement("div");
+  note.className = "request-existing";
+  note.innerHTML = `
+    <p class="request-login">
+      You already have an open request for this item.
+      <span class="pill pill--${statusMeta.value}">${statusMeta.label}</span>
+    </p>
+  `;
+  const link = document.createElement("a");
+  link.className = "primary-btn request-existing__link";
+  link.href = `profile.html#request-${encodeURIComponent(request.id)}`;
+  link.textContent = "View or edit your request";
+  note.appendChild(link);
+  return note;
+}
+
+// Share (or copy) a link straight to this item with the current filters
+function createShareButton(item) {
+  const shareBtn = document.createElement("button");
+  shareBtn.type = "button";
+  shareBtn.className = "modal-share-btn";
+  shareBtn.innerHTML = '<i class="fas fa-share-nodes" aria-hidden="true"></i><span>Share</span>';
+  shareBtn.addEventListener("click", async () => {
+    const url = buildStateUrl().href;
+    const label = shareBtn.querySelector("span");
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: item.name || "Moving sale item", url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      label.textContent = "Link copied!";
+    } catch (err) {
+      // Dismissing the share sheet rejects with AbortError; nothing to report
+      if (err?.name === "AbortError") return;
+      console.error("Share failed", err);
+      label.textContent = "Couldn't copy link";
+    }
+    setTimeout(() => {
+      label.textContent = "Share";
+    }, 2000);
+  });
+  return shareBtn;
+}
+
 function buildRequestForm(item) {
   const form = document.createElement("form");
   form.className = "request-form";
@@ -1371,9 +1984,14 @@ function buildRequestForm(item) {
   const textarea = document.createElement("textarea");
   textarea.id = "request-note";
   textarea.name = "request-note";
-  textarea.placeholder = "When are you available? Any questions?";
   noteField.appendChild(textarea);
 
+  // Offer published pickup windows; fall back to free-text availability
+  const slotField = createPickupSlotField();
+  textarea.placeholder = slotField
+    ? "Any questions?"
+    : "When are you available? Any questions?";
+
   const status = document.createElement("p");
   status.className = "request-status";
   status.hidden = true;
@@ -1385,6 +2003,7 @@ function buildRequestForm(item) {
 
   form.appendChild(nameField);
   form.appendChild(contactField);
+  if (slotField) form.appendChild(slotField);
   form.appendChild(noteField);
   form.appendChild(submit);
   form.appendChild(status);
@@ -1394,31 +2013,50 @@ function buildRequestForm(item) {
     submit.disabled = true;
     submit.textContent = "Submitting...";
     status.hidden = true;
+    const fields = {
+      itemId: item.id,
+      itemName: item.name,
+      contactName: form.querySelector("#request-name").value.trim(),
+      contactInfo: form.querySelector("#request-contact").value.trim(),
+      note: textarea.value.trim(),
+      slotId: form.querySelector("#request-slot")?.value || null,
+    };
+    // No connection: keep it and send it once we're back online
+    const queueForLater = () => {
+      queueRequest({ ...fields, userId: currentUser.uid });
+      status.textContent = "You're offline. Your request is saved and will be sent when you're back online.";
+      status.hidden = false;
+      submit.textContent = "Waiting to send";
+      updateOfflineBanner();
+    };
+    if (isOffline()) {
+      queueForLater();
+      return;
+    }
     try {
-      await addDoc(collection(db, "requests"), {
-        userId: currentUser.uid,
-        userEmail: currentUser.email,
-        userName: currentUser.displayName || "",
-        contactName: form.querySelector("#request-name").value.trim(),
-        contactInfo: form.querySelector("#request-contact").value.trim(),
-        note: textarea.value.trim(),
-        itemId: item.id,
-        itemName: item.name,
-        status: "new",
-        createdAt: serverTimestamp(),
-      });
+      await submitRequest(fields);
       status.textContent = "✓ Request submitted successfully!";
       status.hidden = false;
       form.reset();
       submit.textContent = "Submitted";
       
-      // Wait 2 seconds then refresh to return to home screen
+      // Wait 2 seconds then refresh to return to the grid, keeping filters
       setTimeout(() => {
-        window.location.href = window.location.origin + window.location.pathname;
+        window.location.href = buildStateUrl({ includeItem: false }).href;
       }, 2000);
     } catch (err) {
+      if (isConnectionError(err)) {
+        queueForLater();
+        return;
+      }
       console.error("Failed to submit request", err);
-      status.textContent = "Error submitting request. Please try again.";
+      if (err.code === DUPLICATE_REQUEST) {
+        status.textContent = "You already have an open request for this item. You can edit it on your profile.";
+      } else {
+        status.textContent = err.code === SLOT_FULL
+          ? "That pickup time just filled up. Please pick another."
+          : "Error submitting request. Please try again.";
+      }
       status.hidden = false;
       submit.disabled = false;
       submit.textContent = "Submit Request";
@@ -1428,6 +2066,49 @@ function buildRequestForm(item) {
   return form;
 }
 
+// Create a request for the signed-in user from the form fields and notify admins
+async function submitRequest({ itemId, itemName, contactName, contactInfo, note, slotId }) {
+  const payload = {
+    userId: currentUser.uid,
+    userEmail: currentUser.email,
+    userName: currentUser.displayName || "",
+    contactName,
+    contactInfo,
+    note,
+    itemId,
+    itemName,
+    ...buildInitialStatus(),
+    createdAt: serverTimestamp(),
+  };
+  const requestId = await createRequestWithSlot(payload, slotId);
+  // Let opted-in admins know (failures are logged, never shown)
+  notifyRequestEvent(NOTIFY_EVENTS.REQUEST_CREATED, { id: requestId, ...payload });
+  return requestId;
+}
+
+// Select of upcoming pickup windows with room left, or null if none are open
+function createPickupSlotField() {
+  const slots = getBookableSlots(pickupSlots);
+  if (!slots.length) return null;
+
+  const wrapper = document.createElement("label");
+  wrapper.className = "field";
+  wrapper.setAttribute("for", "request-slot");
+  wrapper.textContent = "Pickup time (optional)";
+
+  const select = document.createElement("select");
+  select.id = "request-slot";
+  select.name = "request-slot";
+  select.appendChild(new Option("I'll arrange a time later", ""));
+  slots.forEach((slot) => {
+    const remaining = getRemainingCapacity(slot);
+    select.appendChild(new Option(`${formatSlot(slot)} (${remaining} spot${remaining !== 1 ? "s" : ""} left)`, slot.id));
+  });
+
+  wrapper.appendChild(select);
+  return wrapper;
+}
+
 function createInputField(labelText, id, value = "") {
   const wrapper = document.createElement("label");
   wrapper.className = "field";
@@ -1443,6 +2124,8 @@ function createInputField(labelText, id, value = "") {
 }
 
 function closeModal() {
+  openItemId = null;
+  syncStateToUrl();
   modalOverlay.classList.remove("open");
   modalOverlay.setAttribute("aria-hidden", "true");
   document.body.style.overflow = "";
@@ -1459,6 +2142,38 @@ function setupEventListeners() {
 
   clearFiltersBtn?.addEventListener("click", clearAllFilters);
 
+  searchInput?.addEventListener("input", () => {
+    setSearchQuery(searchInput.value);
+    applyFiltersAndSort();
+  });
+
+  const onPriceFilterChange = () => {
+    setPriceFilter(
+      parsePriceBound(priceMinInput?.value),
+      parsePriceBound(priceMaxInput?.value),
+      Boolean(freeOnlyToggle?.checked)
+    );
+    applyFiltersAndSort();
+  };
+  priceMinInput?.addEventListener("change", onPriceFilterChange);
+  priceMaxInput?.addEventListener("change", onPriceFilterChange);
+  freeOnlyToggle?.addEventListener("change", onPriceFilterChange);
+
+  showClaimedToggle?.addEventListener("change", () => {
+    showClaimed = showClaimedToggle.checked;
+    applyFiltersAndSort();
+  });
+
+  availableNowToggle?.addEventListener("change", () => {
+    availableNowOnly = availableNowToggle.checked;
+    applyFiltersAndSort();
+  });
+
+  favoritesOnlyToggle?.addEventListener("change", () => {
+    favoritesOnly = favoritesOnlyToggle.checked;
+    applyFiltersAndSort();
+  });
+
   // Tag filter dropdown toggle
   tagFilterDropdownBtn?.addEventListener("click", (e) => {
     e.stopPropagation();
@@ -0,0 +1,250 @@
+/**
+ * Request Notifier
+ *
+ * Tells admins when a request is created or changes status. The page that
+ * made the change (the storefront or the admin console) hands the event to
+ * an endpoint right after its write succeeds.
+ *
+ * Delivery goes through a pluggable transport picked by NOTIFIER_CONFIG:
+ *
+ *   none    - sends nothing (the default until an endpoint is deployed)
+ *   webhook - POSTs the event as JSON to any HTTP endpoint (Zapier, Make,
+ *             a Cloud Function, ...) that fans it out however it likes
+ *   email   - POSTs { event, actorId, from, subject, text } to an HTTP email
+ *             relay
+ *   mock    - logs to the console and keeps an in-memory outbox. Opt in
+ *             only while testing: it prints request contact details.
+ *
+ * Admins opt in per event from the admin console. Preferences live in the
+ * admin-only notificationRecipients collection, keyed by the admin's uid:
+ *
+ *   notificationRecipients/{uid}: { email: "...", requestCreated: true, statusChanged: false }
+ *
+ * Shoppers can't read it, so the page never sees the addresses: the
+ * endpoint looks up who opted in to the event (skipping actorId, the admin
+ * who made the change) with server credentials.
+ */
+import { db, doc, getDoc, setDoc } from "./firebaseClient.js";
+import { getStatusLabel } from "./requestStatus.js";
+
+// =====================================================
+// CONFIGURATION
+// =====================================================
+export const NOTIFIER_CONFIG = {
+  transport: "none", // UPDATE THIS to "webhook" or "email" once an endpoint exists
+  webhookUrl: "", // Endpoint for the webhook transport
+  emailEndpoint: "", // Endpoint for the email transport
+  emailFrom: "", // Sender address for the email transport
+};
+
+// Events admins can opt in to, keyed by their preference field
+export const NOTIFY_EVENTS = {
+  REQUEST_CREATED: "requestCreated",
+  STATUS_CHANGED: "statusChanged",
+};
+
+// Subject/body per event; {{placeholders}} are filled from the request
+export const NOTIFICATION_TEMPLATES = {
+  [NOTIFY_EVENTS.REQUEST_CREATED]: {
+    subject: "New request for {{itemName}}",
+    text:
+      "{{contactName}} requested {{itemName}}.\n\n" +
+      "Contact: {{contactInfo}}\n" +
+      "Note: {{note}}\n\n" +
+      "Review it: {{adminUrl}}",
+  },
+  [NOTIFY_EVENTS.STATUS_CHANGED]: {
+    subject: "{{itemName}}: {{contactName}}'s request is now {{status}}",
+    text:
+      "{{contactName}}'s request for {{itemName}} moved from {{previousStatus}} to {{status}}.\n\n" +
+      "Contact: {{contactInfo}}\n\n" +
+      "Review it: {{adminUrl}}",
+  },
+};
+
+/**
+ * Fill {{placeholders}} in a template; unknown or empty values become "—"
+ * @param {string} template - Template text
+ * @param {Object<string, any>} vars - Placeholder values
+ * @returns {string}
+ */
+export function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const value = vars[key];
+    return value === undefined || value === null || value === "" ? "—" : String(value);
+  });
+}
+
+/**
+ * Build the subject and text for an event
+ * @param {string} event - One of NOTIFY_EVENTS
+ * @param {Object} request - Request document data (with id)
+ * @param {{ previousStatus?: string }} [extra] - Event details
+ * @returns {{ subject: string, text: string }}
+ */
+export function buildNotification(event, request, { previousStatus } = {}) {
+  const template = NOTIFICATION_TEMPLATES[event];
+  const vars = {
+    itemName: request.itemName,
+    contactName: request.contactName,
+    contactInfo: request.contactInfo,
+    note: request.note,
+    status: getStatusLabel(request.status),
+    previousStatus: previousStatus ? getStatusLabel(previousStatus) : "",
+    adminUrl: new URL("admin.html", window.location.href).href,
+  };
+  return {
+    subject: renderTemplate(template.subject, vars),
+    text: renderTemplate(template.text, vars),
+  };
+}
+
+// =====================================================
+// TRANSPORTS
+// =====================================================
+// Every transport is { send(notification) } where notification is
+// { event, actorId, subject, text, request: { id, ... } }
+const mockOutbox = [];
+
+function createNoopTransport() {
+  return {
+    async send() {},
+  };
+}
+
+function createMockTransport() {
+  return {
+    async send(notification) {
+      mockOutbox.push(notification);
+      console.info(`[notifier:mock] ${notification.subject}`, notification);
+    },
+  };
+}
+
+// keepalive lets the request finish if the page navigates away right after
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    keepalive: true,
+  });
+  if (!response.ok) {
+    throw new Error(`Notification endpoint responded ${response.status}`);
+  }
+}
+
+function createWebhookTransport(config) {
+  return {
+    async send(notification) {
+      if (!config.webhookUrl) throw new Error("NOTIFIER_CONFIG.webhookUrl is not set");
+      await postJson(config.webhookUrl, notification);
+    },
+  };
+}
+
+function createEmailTransport(config) {
+  return {
+    async send({ event, actorId, subject, text }) {
+      if (!config.emailEndpoint) throw new Error("NOTIFIER_CONFIG.emailEndpoint is not set");
+      await postJson(config.emailEndpoint, { event, actorId, from: config.emailFrom, subject, text });
+    },
+  };
+}
+
+const transportFactories = {
+  none: createNoopTransport,
+  mock: createMockTransport,
+  webhook: createWebhookTransport,
+  email: createEmailTransport,
+};
+
+/**
+ * Add (or replace) a transport that NOTIFIER_CONFIG.transport can name
+ * @param {string} name - Transport name
+ * @param {Function} factory - Receives NOTIFIER_CONFIG, returns { send(notification) }
+ */
+export function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+}
+
+/**
+ * Notifications the mock transport has "sent" during this page load
+ * @returns {Array<Object>}
+ */
+export function getMockOutbox() {
+  return [...mockOutbox];
+}
+
+// =====================================================
+// PREFERENCES + SENDING
+// =====================================================
+const recipientRef = (userId) => doc(db, "notificationRecipients", userId);
+
+/**
+ * An admin's notification preferences
+ * @param {string} userId - Admin's uid
+ * @returns {Promise<{ email?: string, requestCreated?: boolean, statusChanged?: boolean }|null>}
+ */
+export async function getNotificationPreferences(userId) {
+  const snapshot = await getDoc(recipientRef(userId));
+  return snapshot.exists() ? snapshot.data() : null;
+}
+
+/**
+ * Save an admin's notification preferences
+ * @param {string} userId - Admin's uid
+ * @param {{ email: string, requestCreated: boolean, statusChanged: boolean }} prefs - Preferences
+ * @returns {Promise<void>}
+ */
+export async function saveNotificationPreferences(userId, prefs) {
+  await setDoc(recipientRef(userId), prefs);
+}
+
+/**
+ * Hand a request event to the configured endpoint, which tells the admins
+ * who opted in. Never throws: a failed notification is logged and
+ * shouldn't undo the change that triggered it.
+ * @param {string} event - One of NOTIFY_EVENTS
+ * @param {Object} request - Request document data (with id), after the change
+ * @param {{ previousStatus?: string, actorId?: string }} [extra] - Event details and who made the change
+ * @returns {Promise<void>}
+ */
+export async function notifyRequestEvent(event, request, extra = {}) {
+  try {
+    const factory = transportFactories[NOTIFIER_CONFIG.transport];
+    if (!factory) throw new Error(`Unknown notifier transport "${NOTIFIER_CONFIG.transport}"`);
+
+    const { subject, text } = buildNotification(event, request, extra);
+    await factory(NOTIFIER_CONFIG).send({
+      event,
+      actorId: extra.actorId || null,
+      subject,
+      text,
+      request: {
+        id: request.id,
+        itemId: request.itemId,
+        itemName: request.itemName,
+        contactName: request.contactName,
+        contactInfo: request.contactInfo,
+        status: request.status,
+        previousStatus: extra.previousStatus || null,
+      },
+    });
+  } catch (err) {
+    console.error("Notification failed", err);
+  }
+}
+
+export default {
+  NOTIFIER_CONFIG,
+  NOTIFY_EVENTS,
+  NOTIFICATION_TEMPLATES,
+  renderTemplate,
+  buildNotification,
+  registerTransport,
+  getMockOutbox,
+  getNotificationPreferences,
+  saveNotificationPreferences,
+  notifyRequestEvent,
+};
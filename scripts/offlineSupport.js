@@ -0,0 +1,169 @@
+/**
+ * Offline Support
+ *
+ * Keeps the storefront usable on a flaky connection:
+ *
+ *   - registers the service worker (sw.js) that caches the page shell,
+ *     CDN libraries and Cloudinary images
+ *   - saves the last items snapshot from the server so the catalog can be
+ *     shown (marked as stale) when Firestore can't be reached
+ *   - queues request submissions made offline so they can be sent once the
+ *     connection is back
+ *
+ * Both the snapshot and the queue live in localStorage.
+ */
+
+const CATALOG_KEY = "catalogSnapshot";
+const QUEUE_KEY = "queuedRequests";
+
+function readJson(key, fallback) {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (err) {
+    console.error(`Couldn't read ${key} from storage`, err);
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    // Storage can be full or disabled (private browsing); offline support is best effort
+    console.error(`Couldn't save ${key} to storage`, err);
+  }
+}
+
+// =====================================================
+// SERVICE WORKER
+// =====================================================
+/**
+ * Register sw.js (next to the page) once the page has loaded
+ */
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  const register = () => {
+    navigator.serviceWorker.register("sw.js").catch((err) => {
+      console.error("Service worker registration failed", err);
+    });
+  };
+  if (document.readyState === "complete") register();
+  else window.addEventListener("load", register, { once: true });
+}
+
+/**
+ * Whether the browser reports no network connection
+ * @returns {boolean}
+ */
+export function isOffline() {
+  return navigator.onLine === false;
+}
+
+/**
+ * Call onChange(isOffline) whenever the connection drops or comes back
+ * @param {Function} onChange - Receives true when offline
+ * @returns {Function} Unsubscribe
+ */
+export function watchConnection(onChange) {
+  const handleOnline = () => onChange(false);
+  const handleOffline = () => onChange(true);
+  window.addEventListener("online", handleOnline);
+  window.addEventListener("offline", handleOffline);
+  return () => {
+    window.removeEventListener("online", handleOnline);
+    window.removeEventListener("offline", handleOffline);
+  };
+}
+
+// =====================================================
+// CATALOG SNAPSHOT
+// =====================================================
+/**
+ * Save the items from a server snapshot. Timestamps are stored as
+ * { seconds, nanoseconds }; the storefront doesn't read item timestamps.
+ * @param {Array<Object>} items - Item documents (with id)
+ * @param {Date} [savedAt] - When the snapshot came from the server
+ */
+export function saveCatalogSnapshot(items, savedAt = new Date()) {
+  writeJson(CATALOG_KEY, { savedAt: savedAt.toISOString(), items });
+}
+
+/**
+ * The last saved items snapshot
+ * @returns {{ items: Array<Object>, savedAt: Date }|null}
+ */
+export function loadCatalogSnapshot() {
+  const snapshot = readJson(CATALOG_KEY, null);
+  if (!Array.isArray(snapshot?.items)) return null;
+  const savedAt = new Date(snapshot.savedAt);
+  return { items: snapshot.items, savedAt: Number.isNaN(savedAt.getTime()) ? null : savedAt };
+}
+
+/**
+ * Format when the catalog was last updated: "3:42 PM" today, "Mar 1, 3:42 PM" otherwise
+ * @param {Date|null} date - Snapshot time
+ * @returns {string}
+ */
+export function formatLastUpdated(date) {
+  if (!date) return "";
+  const time = date.toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+  if (date.toDateString() === new Date().toDateString()) return time;
+  return `${date.toLocaleDateString("en-US", { month: "short", day: "numeric" })}, ${time}`;
+}
+
+// =====================================================
+// QUEUED REQUESTS
+// =====================================================
+// Queued entries are plain form fields: { queueId, userId, itemId, itemName,
+// contactName, contactInfo, note, slotId, queuedAt }. The request document
+// (status, server timestamps) is built when the entry is actually sent.
+
+/**
+ * Queued requests, optionally only one user's
+ * @param {string} [userId] - Requester's uid
+ * @returns {Array<Object>}
+ */
+export function getQueuedRequests(userId) {
+  const queue = readJson(QUEUE_KEY, []);
+  return userId ? queue.filter((entry) => entry.userId === userId) : queue;
+}
+
+/**
+ * Queue a request to send when the connection is back
+ * @param {Object} fields - Form fields, including userId and itemId
+ * @returns {Object} The queued entry
+ */
+export function queueRequest(fields) {
+  const entry = {
+    ...fields,
+    queueId: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    queuedAt: new Date().toISOString(),
+  };
+  // A newer submission for the same item replaces the older one
+  const queue = getQueuedRequests().filter(
+    (queued) => !(queued.userId === entry.userId && queued.itemId === entry.itemId)
+  );
+  writeJson(QUEUE_KEY, [...queue, entry]);
+  return entry;
+}
+
+/**
+ * Remove a queued request once it has been sent (or can't be)
+ * @param {string} queueId - Queued entry id
+ */
+export function removeQueuedRequest(queueId) {
+  writeJson(QUEUE_KEY, getQueuedRequests().filter((entry) => entry.queueId !== queueId));
+}
+
+export default {
+  registerServiceWorker,
+  isOffline,
+  watchConnection,
+  saveCatalogSnapshot,
+  loadCatalogSnapshot,
+  formatLastUpdated,
+  getQueuedRequests,
+  queueRequest,
+  removeQueuedRequest,
+};
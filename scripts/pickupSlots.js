@@ -0,0 +1,219 @@
+/**
+ * Pickup Slot Helpers
+ *
+ * Admins publish pickup windows in the `pickupSlots` collection:
+ *
+ *   { start: Timestamp, end: Timestamp, capacity: 3, bookedCount: 1 }
+ *
+ * A request books at most one slot. It stores `pickupSlotId` plus a copy of
+ * the window in `pickupSlot` ({ start, end }) so cards can show the booking
+ * without loading every slot.
+ *
+ * Booking and cancelling run in a transaction that re-reads the slot, so two
+ * people can't both take the last place in a window. Every change to
+ * `bookedCount` also records the request behind it in `lastRequestId`, which
+ * the security rules use to check the request moved in the same write. The same transactions
+ * claim and release the request's open-request guard (see requestGuard.js).
+ */
+import {
+  db,
+  collection,
+  doc,
+  runTransaction,
+  increment,
+  deleteField,
+} from "./firebaseClient.js";
+import { checkOpenRequestGuard, readGuardForDelete } from "./requestGuard.js";
+
+// Error code thrown when a slot filled up before the booking went through
+export const SLOT_FULL = "slot-full";
+
+function toDate(timestamp) {
+  if (!timestamp) return null;
+  return timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+}
+
+/**
+ * Places left in a slot
+ * @param {Object} slot - Pickup slot document data
+ * @returns {number}
+ */
+export function getRemainingCapacity(slot) {
+  return Math.max(0, (slot.capacity || 0) - (slot.bookedCount || 0));
+}
+
+/**
+ * Whether a slot has no places left
+ * @param {Object} slot - Pickup slot document data
+ * @returns {boolean}
+ */
+export function isSlotFull(slot) {
+  return getRemainingCapacity(slot) === 0;
+}
+
+/**
+ * Whether a slot hasn't ended yet
+ * @param {Object} slot - Pickup slot document data
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean}
+ */
+export function isUpcoming(slot, now = Date.now()) {
+  const end = toDate(slot.end);
+  return Boolean(end) && end.getTime() > now;
+}
+
+/**
+ * Slots a requester can pick: upcoming and not full. The slot they already
+ * hold stays in the list so a select can show it as chosen.
+ * @param {Array<Object>} slots - All pickup slots
+ * @param {string|null} [currentSlotId] - Slot the request already holds
+ * @returns {Array<Object>}
+ */
+export function getBookableSlots(slots, currentSlotId = null) {
+  return slots.filter(
+    (slot) => isUpcoming(slot) && (!isSlotFull(slot) || slot.id === currentSlotId)
+  );
+}
+
+/**
+ * Format a pickup window as "Sat, Mar 2 · 10:00 AM – 12:00 PM"
+ * @param {{ start: any, end: any }} slot - Slot or a request's `pickupSlot` copy
+ * @returns {string}
+ */
+export function formatSlot(slot) {
+  const start = toDate(slot?.start);
+  const end = toDate(slot?.end);
+  if (!start) return "";
+
+  const dateStr = start.toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+  const timeOptions = { hour: "numeric", minute: "2-digit", hour12: true };
+  const startStr = start.toLocaleTimeString("en-US", timeOptions);
+  const endStr = end ? ` – ${end.toLocaleTimeString("en-US", timeOptions)}` : "";
+  return `${dateStr} · ${startStr}${endStr}`;
+}
+
+// bookedCount change tagged with the request that caused it (see the rules)
+function bookingUpdate(delta, requestId) {
+  return { bookedCount: increment(delta), lastRequestId: requestId };
+}
+
+// Read a slot inside a transaction and make sure it still has room
+async function claimSlot(transaction, slotId) {
+  const slotRef = doc(db, "pickupSlots", slotId);
+  const snapshot = await transaction.get(slotRef);
+  if (!snapshot.exists() || isSlotFull(snapshot.data())) {
+    const err = new Error("That pickup time is no longer available.");
+    err.code = SLOT_FULL;
+    throw err;
+  }
+  const { start, end } = snapshot.data();
+  return { slotRef, window: { start, end } };
+}
+
+/**
+ * Create a request, booking a pickup slot in the same transaction
+ * @param {Object} payload - Request fields for the new document
+ * @param {string|null} slotId - Slot to book, or null for none
+ * @returns {Promise<string>} New request id
+ * @throws {Error} With code DUPLICATE_REQUEST when the user already has an
+ *   open request for the item, or SLOT_FULL when the slot filled up
+ */
+export async function createRequestWithSlot(payload, slotId) {
+  const requestRef = doc(collection(db, "requests"));
+  await runTransaction(db, async (transaction) => {
+    // All reads happen before any writes
+    const writeGuard = await checkOpenRequestGuard(transaction, payload, requestRef.id);
+    const claimed = slotId ? await claimSlot(transaction, slotId) : null;
+
+    writeGuard(transaction);
+    if (!claimed) {
+      transaction.set(requestRef, payload);
+      return;
+    }
+    transaction.update(claimed.slotRef, bookingUpdate(1, requestRef.id));
+    transaction.set(requestRef, { ...payload, pickupSlotId: slotId, pickupSlot: claimed.window });
+  });
+  return requestRef.id;
+}
+
+/**
+ * Book, change or cancel the pickup slot for an existing request
+ * @param {Object} request - Request document data (with id)
+ * @param {string|null} slotId - New slot, or null to cancel the booking
+ * @returns {Promise<void>}
+ */
+export async function changeRequestSlot(request, slotId) {
+  const previousId = request.pickupSlotId || null;
+  if (previousId === slotId) return;
+
+  await runTransaction(db, async (transaction) => {
+    // All reads happen before any writes
+    const claimed = slotId ? await claimSlot(transaction, slotId) : null;
+    const previousRef = previousId ? doc(db, "pickupSlots", previousId) : null;
+    const previousExists = previousRef ? (await transaction.get(previousRef)).exists() : false;
+
+    if (previousExists) {
+      transaction.update(previousRef, bookingUpdate(-1, request.id));
+    }
+    const requestRef = doc(db, "requests", request.id);
+    if (claimed) {
+      transaction.update(claimed.slotRef, bookingUpdate(1, request.id));
+      transaction.update(requestRef, { pickupSlotId: slotId, pickupSlot: claimed.window });
+    } else {
+      transaction.update(requestRef, { pickupSlotId: deleteField(), pickupSlot: deleteField() });
+    }
+  });
+}
+
+/**
+ * Queue writes that free a request's booked slot (e.g. when it's declined)
+ * @param {import("firebase/firestore").WriteBatch} batch - Batch to add writes to
+ * @param {Object} request - Request document data (with id)
+ */
+export function releaseSlotInBatch(batch, request) {
+  if (!request.pickupSlotId) return;
+  batch.update(doc(db, "pickupSlots", request.pickupSlotId), bookingUpdate(-1, request.id));
+  batch.update(doc(db, "requests", request.id), {
+    pickupSlotId: deleteField(),
+    pickupSlot: deleteField(),
+  });
+}
+
+/**
+ * Delete a request, giving its slot place back and freeing the item for a
+ * new request
+ * @param {Object} request - Request document data (with id)
+ * @param {Function} [writeMore] - Called with the transaction to add more writes
+ * @returns {Promise<void>}
+ */
+export async function deleteRequestReleasingSlot(request, writeMore = () => {}) {
+  await runTransaction(db, async (transaction) => {
+    const slotRef = request.pickupSlotId ? doc(db, "pickupSlots", request.pickupSlotId) : null;
+    const slotExists = slotRef ? (await transaction.get(slotRef)).exists() : false;
+    const removeGuard = await readGuardForDelete(transaction, request);
+
+    removeGuard(transaction);
+    if (slotExists) {
+      transaction.update(slotRef, bookingUpdate(-1, request.id));
+    }
+    transaction.delete(doc(db, "requests", request.id));
+    writeMore(transaction);
+  });
+}
+
+export default {
+  SLOT_FULL,
+  getRemainingCapacity,
+  isSlotFull,
+  isUpcoming,
+  getBookableSlots,
+  formatSlot,
+  createRequestWithSlot,
+  changeRequestSlot,
+  releaseSlotInBatch,
+  deleteRequestReleasingSlot,
+};
@@ -5,17 +5,46 @@ import {
   signOut,
   onAuthStateChanged,
   db,
-  collection,
-  query,
-  where,
-  orderBy,
-  getDocs,
   doc,
   updateDoc,
-  deleteDoc,
   checkIsAdmin,
+  subscribeToItems,
+  subscribeToUserRequests,
+  subscribeToPickupSlots,
 } from "./firebaseClient.js";
 
+import {
+  getStatusMeta,
+  isOpenStatus,
+  getStatusDescription,
+  getStatusHistory,
+  formatRequestDate,
+} from "./requestStatus.js";
+import {
+  getBookableSlots,
+  getRemainingCapacity,
+  formatSlot,
+  changeRequestSlot,
+  deleteRequestReleasingSlot,
+  SLOT_FULL,
+} from "./pickupSlots.js";
+import { hasConfirmedPickup, buildPickupCalendar, downloadCalendar } from "./calendarExport.js";
+import { createMessageThread, deleteMessages, watchUnreadBadges } from "./requestMessages.js";
+import {
+  isPushSupported,
+  getPushPermission,
+  isPushEnabled,
+  enablePush,
+  disablePush,
+  PUSH_DENIED,
+} from "./pushNotifications.js";
+import { watchFavorites, setFavorite } from "./favorites.js";
+import { getAvailabilityMeta } from "./itemAvailability.js";
+import { formatPrice } from "./itemPrice.js";
+import { isHolder } from "./requestQueue.js";
+
+const HOLDER_DELETE_HINT = "The item is on hold for you. Send us a message if you no longer want it so we can offer it to the next person.";
+
 // =====================================================
 // DOM ELEMENTS
 // =====================================================
@@ -23,10 +52,17 @@ const authBtn = document.getElementById("auth-btn");
 const authBtnMobile = document.getElementById("auth-btn-mobile");
 const adminLink = document.getElementById("admin-link");
 const adminLinkMobile = document.getElementById("admin-link-mobile");
+const profileLink = document.getElementById("profile-link");
+const profileLinkMobile = document.getElementById("profile-link-mobile");
 const profileMessage = document.getElementById("profile-message");
 const requestsList = document.getElementById("requests-list");
 const requestsEmpty = document.getElementById("requests-empty");
 const requestsLoading = document.getElementById("requests-loading");
+const pushSettings = document.getElementById("push-settings");
+const pushSettingsStatus = document.getElementById("push-settings-status");
+const pushToggle = document.getElementById("push-toggle");
+const favoritesList = document.getElementById("favorites-list");
+const favoritesEmpty = document.getElementById("favorites-empty");
 
 // Theme elements
 const themeToggleDesktop = document.getElementById("theme-toggle-desktop");
@@ -39,6 +75,18 @@ const mobileMenuClose = document.getElementById("mobile-menu-close");
 
 let currentUser = null;
 let isAdmin = false;
+let unsubscribeRequests = null; // Live requests listener
+let unsubscribePickupSlots = null; // Live pickup slots listener
+let pickupSlots = [];
+const latestRequests = new Map(); // Latest data for each rendered request card
+const messageThreads = new Map(); // Message thread for each rendered request card
+let stopUnreadBadges = null; // Unread message badges on the header links
+// Request linked from the URL hash (#request-{id}), scrolled to on first render
+let linkedRequestId = getLinkedRequestId();
+let pushEnabled = false; // Whether this browser gets push notifications
+let itemsById = null; // Live items, for the favorites list (null until loaded)
+let favoriteIds = new Set(); // Saved item ids (account or this browser)
+let stopFavorites = null;
 
 // =====================================================
 // THEME MANAGEMENT
@@ -153,17 +201,48 @@ function init() {
     }
   });
 
+  loadFavoriteItems();
+
   onAuthStateChanged(auth, async (user) => {
     currentUser = user;
     isAdmin = await checkIsAdmin(user?.uid);
     updateAuthUI();
+    // Anonymous visitors still see the favorites saved in this browser
+    stopFavorites?.();
+    stopFavorites = watchFavorites(user, (ids) => {
+      favoriteIds = ids;
+      renderFavorites();
+    });
+    stopUnreadBadges?.();
+    stopUnreadBadges = watchUnreadBadges(user, isAdmin, {
+      profileLinks: [profileLink, profileLinkMobile],
+      adminLinks: [adminLink, adminLinkMobile],
+    });
     if (!user) {
+      unsubscribeRequests?.();
+      unsubscribeRequests = null;
+      unsubscribePickupSlots?.();
+      unsubscribePickupSlots = null;
+      latestRequests.clear();
+      destroyMessageThreads();
+      requestsList.innerHTML = "";
       showMessage("Please log in to view your requests.");
       requestsLoading.hidden = true;
+      pushSettings.hidden = true;
       return;
     }
     requestsLoading.hidden = false;
-    await loadRequests();
+    loadRequests();
+    loadPickupSlots();
+    loadPushSettings();
+  });
+
+  pushToggle?.addEventListener("click", handlePushToggle);
+
+  // Notification clicks on an open profile tab only change the hash
+  window.addEventListener("hashchange", () => {
+    linkedRequestId = getLinkedRequestId();
+    scrollToLinkedRequest();
   });
 }
 
@@ -199,118 +278,382 @@ function showMessage(text) {
   profileMessage.hidden = false;
 }
 
-async function loadRequests() {
-  try {
-    const q = query(
-      collection(db, "requests"),
-      where("userId", "==", currentUser.uid),
-      orderBy("createdAt", "desc")
-    );
-    const snap = await getDocs(q);
-    const items = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-    requestsLoading.hidden = true;
-    renderRequests(items);
-  } catch (err) {
-    console.error("Failed to load requests", err);
-    showMessage("Error loading requests. Please refresh.");
-    requestsLoading.hidden = true;
-  }
+// Subscribe to live updates for the current user's requests
+function loadRequests() {
+  unsubscribeRequests?.();
+  unsubscribeRequests = subscribeToUserRequests(
+    currentUser.uid,
+    (requests, changedIds) => {
+      requestsLoading.hidden = true;
+      renderRequests(requests, changedIds);
+    },
+    () => {
+      showMessage("Error loading requests. Please refresh.");
+      requestsLoading.hidden = true;
+    }
+  );
 }
 
-function renderRequests(requests) {
-  requestsList.innerHTML = "";
+// Keep pickup slots live so the picker only offers windows with room left
+function loadPickupSlots() {
+  unsubscribePickupSlots?.();
+  unsubscribePickupSlots = subscribeToPickupSlots((slots) => {
+    pickupSlots = slots;
+    requestsList.querySelectorAll(".request-card").forEach((card) => {
+      const req = latestRequests.get(card.dataset.requestId);
+      if (req) updateRequestCardPickup(card, req);
+    });
+  });
+}
+
+function renderRequests(requests, changedIds = []) {
+  // Reuse existing cards so in-progress edits survive live updates
+  const existingCards = new Map();
+  requestsList.querySelectorAll(".request-card").forEach((card) => {
+    existingCards.set(card.dataset.requestId, card);
+  });
+
   if (!requests.length) {
+    destroyMessageThreads();
+    requestsList.innerHTML = "";
     requestsEmpty.hidden = false;
     return;
   }
   requestsEmpty.hidden = true;
-  requests.forEach((req) => {
-    const card = document.createElement("article");
-    card.className = "request-card";
-
-    const heading = document.createElement("header");
-    heading.className = "request-card__header";
-    const title = document.createElement("h3");
-    title.textContent = req.itemName || "Requested item";
-    title.style.fontFamily = "var(--font-display)";
-    const status = document.createElement("span");
-    status.className = "pill";
-    status.textContent = req.status || "new";
-    heading.appendChild(title);
-    heading.appendChild(status);
-
-    const form = document.createElement("form");
-    form.className = "request-edit-form stack";
-
-    form.appendChild(createLabeledInput("Name", "contactName", req.contactName));
-    form.appendChild(
-      createLabeledInput("Contact info", "contactInfo", req.contactInfo)
-    );
-    form.appendChild(createLabeledInput("Notes", "note", req.note, true));
-
-    const actions = document.createElement("div");
-    actions.className = "actions";
-
-    const saveBtn = document.createElement("button");
-    saveBtn.type = "submit";
-    saveBtn.className = "primary-btn";
-    saveBtn.textContent = "Save";
-
-    const deleteBtn = document.createElement("button");
-    deleteBtn.type = "button";
-    deleteBtn.className = "ghost-btn";
-    deleteBtn.textContent = "Delete";
-
-    const statusText = document.createElement("span");
-    statusText.className = "muted";
-    statusText.hidden = true;
 
-    actions.appendChild(saveBtn);
-    actions.appendChild(deleteBtn);
-    actions.appendChild(statusText);
-
-    form.appendChild(actions);
-
-    form.addEventListener("submit", async (e) => {
-      e.preventDefault();
-      saveBtn.disabled = true;
-      try {
-        await updateDoc(doc(db, "requests", req.id), {
-          contactName: form.contactName.value.trim(),
-          contactInfo: form.contactInfo.value.trim(),
-          note: form.note.value.trim(),
-        });
-        statusText.textContent = "✓ Saved";
-        statusText.hidden = false;
-      } catch (error) {
-        console.error("Update failed", error);
-        statusText.textContent = "Error saving";
-        statusText.hidden = false;
-      } finally {
-        saveBtn.disabled = false;
+  latestRequests.clear();
+  requests.forEach((req) => {
+    latestRequests.set(req.id, req);
+    let card = existingCards.get(req.id);
+    if (card) {
+      existingCards.delete(req.id);
+      updateRequestCardStatus(card, req);
+      if (changedIds.includes(req.id)) {
+        card.classList.add("is-updated");
+        card.addEventListener("animationend", () => card.classList.remove("is-updated"), { once: true });
       }
-    });
+    } else {
+      card = createRequestCard(req);
+    }
+    // appendChild moves existing cards into the snapshot's order
+    requestsList.appendChild(card);
+  });
 
-    deleteBtn.addEventListener("click", async () => {
-      deleteBtn.disabled = true;
-      try {
-        await deleteDoc(doc(db, "requests", req.id));
-        card.remove();
-        if (!requestsList.children.length) {
-          requestsEmpty.hidden = false;
-        }
-      } catch (error) {
-        console.error("Delete failed", error);
-        statusText.textContent = "Error deleting";
-        statusText.hidden = false;
-        deleteBtn.disabled = false;
+  existingCards.forEach((card, requestId) => {
+    messageThreads.get(requestId)?.destroy();
+    messageThreads.delete(requestId);
+    card.remove();
+  });
+
+  scrollToLinkedRequest();
+}
+
+function getLinkedRequestId() {
+  const { hash } = window.location;
+  return hash.startsWith("#request-") ? decodeURIComponent(hash.slice("#request-".length)) : null;
+}
+
+// Links like profile.html#request-abc (from the storefront or a notification) jump to that card once
+function scrollToLinkedRequest() {
+  if (!linkedRequestId) return;
+  const card = document.getElementById(`request-${linkedRequestId}`);
+  linkedRequestId = null;
+  if (!card) return;
+  card.scrollIntoView({ behavior: "smooth", block: "start" });
+  card.classList.add("is-updated");
+  card.addEventListener("animationend", () => card.classList.remove("is-updated"), { once: true });
+}
+
+function destroyMessageThreads() {
+  messageThreads.forEach((thread) => thread.destroy());
+  messageThreads.clear();
+}
+
+function createRequestCard(req) {
+  const card = document.createElement("article");
+  card.className = "request-card";
+  card.id = `request-${req.id}`;
+  card.dataset.requestId = req.id;
+
+  const heading = document.createElement("header");
+  heading.className = "request-card__header";
+  const title = document.createElement("h3");
+  title.textContent = req.itemName || "Requested item";
+  title.style.fontFamily = "var(--font-display)";
+  const status = document.createElement("span");
+  status.className = "pill";
+  heading.appendChild(title);
+  heading.appendChild(status);
+
+  // Status note + timeline, refreshed in place on live updates
+  const statusSection = document.createElement("div");
+  statusSection.className = "request-card__status";
+
+  // Booked pickup window + picker, refreshed when requests or slots change
+  const pickupSection = document.createElement("div");
+  pickupSection.className = "request-card__pickup";
+
+  // Conversation with the admins about this request
+  const thread = createMessageThread(req, { getUser: () => currentUser, asAdmin: false });
+  messageThreads.set(req.id, thread);
+
+  const form = document.createElement("form");
+  form.className = "request-edit-form stack";
+
+  form.appendChild(createLabeledInput("Name", "contactName", req.contactName));
+  form.appendChild(
+    createLabeledInput("Contact info", "contactInfo", req.contactInfo)
+  );
+  form.appendChild(createLabeledInput("Notes", "note", req.note, true));
+
+  const actions = document.createElement("div");
+  actions.className = "actions";
+
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "submit";
+  saveBtn.className = "primary-btn";
+  saveBtn.textContent = "Save";
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.type = "button";
+  deleteBtn.className = "ghost-btn";
+  deleteBtn.textContent = "Delete";
+
+  const statusText = document.createElement("span");
+  statusText.className = "muted";
+  statusText.hidden = true;
+
+  actions.appendChild(saveBtn);
+  // Holders can't delete: an admin hands the item on to the next in line
+  if (!isHolder(req)) actions.appendChild(deleteBtn);
+  actions.appendChild(statusText);
+  if (isHolder(req)) {
+    const holdHint = document.createElement("p");
+    holdHint.className = "muted";
+    holdHint.textContent = HOLDER_DELETE_HINT;
+    form.appendChild(holdHint);
+  }
+
+  form.appendChild(actions);
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    saveBtn.disabled = true;
+    try {
+      await updateDoc(doc(db, "requests", req.id), {
+        contactName: form.contactName.value.trim(),
+        contactInfo: form.contactInfo.value.trim(),
+        note: form.note.value.trim(),
+      });
+      statusText.textContent = "✓ Saved";
+      statusText.hidden = false;
+    } catch (error) {
+      console.error("Update failed", error);
+      statusText.textContent = "Error saving";
+      statusText.hidden = false;
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+
+  deleteBtn.addEventListener("click", async () => {
+    // Accepted since render
+    if (isHolder(latestRequests.get(req.id) || req)) {
+      statusText.textContent = HOLDER_DELETE_HINT;
+      statusText.hidden = false;
+      return;
+    }
+    deleteBtn.disabled = true;
+    try {
+      // Messages go first: the rules check the parent request to allow it
+      await deleteMessages(req.id);
+      // Use the latest data so a slot booked since render is released too
+      await deleteRequestReleasingSlot(latestRequests.get(req.id) || req);
+      messageThreads.get(req.id)?.destroy();
+      messageThreads.delete(req.id);
+      card.remove();
+      if (!requestsList.children.length) {
+        requestsEmpty.hidden = false;
       }
+    } catch (error) {
+      console.error("Delete failed", error);
+      statusText.textContent = "Error deleting";
+      statusText.hidden = false;
+      deleteBtn.disabled = false;
+    }
+  });
+
+  card.appendChild(heading);
+  card.appendChild(statusSection);
+  card.appendChild(pickupSection);
+  card.appendChild(thread.element);
+  card.appendChild(form);
+
+  updateRequestCardStatus(card, req);
+  return card;
+}
+
+// Refresh the status pill, note and timeline without touching the edit form
+function updateRequestCardStatus(card, req) {
+  const statusMeta = getStatusMeta(req.status);
+
+  const pill = card.querySelector(".request-card__header .pill");
+  pill.className = `pill pill--${statusMeta.value}`;
+  pill.textContent = statusMeta.label;
+
+  const statusSection = card.querySelector(".request-card__status");
+  statusSection.innerHTML = "";
+
+  const description = getStatusDescription(statusMeta.value);
+  if (description) {
+    const statusNote = document.createElement("p");
+    statusNote.className = `request-card__status-note request-card__status-note--${statusMeta.value}`;
+    statusNote.textContent = description;
+    if (statusMeta.value === "waitlisted" && typeof req.queueRank === "number") {
+      statusNote.textContent = `You're #${req.queueRank} in line. ${description}`;
+    }
+    statusSection.appendChild(statusNote);
+  }
+
+  const timeline = createStatusTimeline(req);
+  if (timeline) statusSection.appendChild(timeline);
+
+  updateRequestCardPickup(card, req);
+  messageThreads.get(req.id)?.update(req);
+}
+
+// Show the booked pickup window and, once accepted, let the requester
+// book or change one from the admin-published slots
+function updateRequestCardPickup(card, req) {
+  const section = card.querySelector(".request-card__pickup");
+  if (!section) return;
+
+  // Keep a choice the requester hasn't saved yet
+  const previousChoice = section.querySelector("select")?.value;
+  section.innerHTML = "";
+
+  if (req.pickupSlot) {
+    const booked = document.createElement("p");
+    booked.className = "request-card__pickup-booked";
+    booked.innerHTML = '<i class="fas fa-calendar-check" aria-hidden="true"></i>';
+    booked.append(` Pickup: ${formatSlot(req.pickupSlot)}`);
+    section.appendChild(booked);
+  }
+
+  if (hasConfirmedPickup(req)) {
+    const calendarBtn = document.createElement("button");
+    calendarBtn.type = "button";
+    calendarBtn.className = "ghost-btn request-card__calendar-btn";
+    calendarBtn.innerHTML = '<i class="fas fa-calendar-plus" aria-hidden="true"></i> Add to calendar (.ics)';
+    calendarBtn.addEventListener("click", () => {
+      const latest = latestRequests.get(req.id) || req;
+      downloadCalendar(buildPickupCalendar([latest]), `pickup-${latest.itemName || "item"}`);
     });
+    section.appendChild(calendarBtn);
+  }
 
-    card.appendChild(heading);
-    card.appendChild(form);
-    requestsList.appendChild(card);
+  const status = getStatusMeta(req.status).value;
+  const canSchedule = isOpenStatus(status) &&
+    (status === "accepted" || status === "pending" || Boolean(req.pickupSlotId));
+  if (!canSchedule) {
+    section.hidden = !req.pickupSlot;
+    return;
+  }
+  section.hidden = false;
+
+  const slots = getBookableSlots(pickupSlots, req.pickupSlotId);
+  if (!slots.length && !req.pickupSlotId) {
+    const none = document.createElement("p");
+    none.className = "muted";
+    none.textContent = "No pickup times are open right now. We'll reach out to arrange one.";
+    section.appendChild(none);
+    return;
+  }
+
+  const picker = document.createElement("div");
+  picker.className = "request-card__pickup-picker";
+
+  const label = document.createElement("label");
+  label.className = "field";
+  label.textContent = req.pickupSlotId ? "Change pickup time" : "Pick a pickup time";
+  const select = document.createElement("select");
+  select.appendChild(new Option("No pickup time", ""));
+  slots.forEach((slot) => {
+    const remaining = getRemainingCapacity(slot);
+    const text = slot.id === req.pickupSlotId
+      ? `${formatSlot(slot)} (booked)`
+      : `${formatSlot(slot)} (${remaining} spot${remaining !== 1 ? "s" : ""} left)`;
+    select.appendChild(new Option(text, slot.id));
+  });
+  select.value = req.pickupSlotId || "";
+  if (previousChoice !== undefined && Array.from(select.options).some((o) => o.value === previousChoice)) {
+    select.value = previousChoice;
+  }
+  label.appendChild(select);
+
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "button";
+  saveBtn.className = "ghost-btn";
+  saveBtn.textContent = "Save pickup time";
+
+  const statusText = document.createElement("span");
+  statusText.className = "muted";
+  statusText.hidden = true;
+
+  saveBtn.addEventListener("click", async () => {
+    saveBtn.disabled = true;
+    statusText.hidden = true;
+    try {
+      await changeRequestSlot(latestRequests.get(req.id) || req, select.value || null);
+      // The live listener re-renders the section with the new booking
+    } catch (error) {
+      console.error("Booking pickup slot failed", error);
+      statusText.textContent = error.code === SLOT_FULL
+        ? "That time just filled up. Please pick another."
+        : "Error saving pickup time";
+      statusText.hidden = false;
+      saveBtn.disabled = false;
+    }
   });
+
+  picker.appendChild(label);
+  picker.appendChild(saveBtn);
+  picker.appendChild(statusText);
+  section.appendChild(picker);
+}
+
+// List each status the request has moved through, with when it happened
+function createStatusTimeline(req) {
+  const history = getStatusHistory(req);
+  if (!history.length) return null;
+
+  const list = document.createElement("ol");
+  list.className = "status-timeline";
+  list.setAttribute("aria-label", "Request progress");
+
+  history.forEach((entry) => {
+    const meta = getStatusMeta(entry.status);
+    const step = document.createElement("li");
+    step.className = "status-timeline__step";
+
+    const icon = document.createElement("i");
+    icon.className = `fas ${meta.icon}`;
+    icon.setAttribute("aria-hidden", "true");
+
+    const label = document.createElement("span");
+    label.className = "status-timeline__label";
+    label.textContent = meta.label;
+
+    const time = document.createElement("time");
+    time.textContent = formatRequestDate(entry.changedAt) || "";
+
+    step.appendChild(icon);
+    step.appendChild(label);
+    step.appendChild(time);
+    list.appendChild(step);
+  });
+
+  return list;
 }
 
 function createLabeledInput(label, name, value = "", multiline = false) {
@@ -331,6 +674,137 @@ function createLabeledInput(label, name, value = "", multiline = false) {
   return wrapper;
 }
 
+// =====================================================
+// FAVORITES
+// =====================================================
+function loadFavoriteItems() {
+  subscribeToItems(
+    (items) => {
+      itemsById = new Map(items.map((item) => [item.id, item]));
+      renderFavorites();
+    },
+    () => {
+      favoritesEmpty.textContent = "Error loading favorites. Please refresh.";
+      favoritesEmpty.hidden = false;
+    }
+  );
+}
+
+function renderFavorites() {
+  if (!itemsById) return;
+  // Items deleted since they were saved are skipped
+  const items = Array.from(favoriteIds, (id) => itemsById.get(id)).filter(Boolean);
+  favoritesList.innerHTML = "";
+  favoritesEmpty.hidden = items.length > 0;
+  items.forEach((item) => favoritesList.appendChild(createFavoriteCard(item)));
+}
+
+function createFavoriteCard(item) {
+  const card = document.createElement("article");
+  card.className = "favorite-card";
+
+  const link = document.createElement("a");
+  link.className = "favorite-card__link";
+  link.href = `index.html?item=${encodeURIComponent(item.id)}`;
+
+  const image = document.createElement("img");
+  image.className = "favorite-card__image";
+  image.src = (Array.isArray(item.images) && item.images[0]) || item.img || "";
+  image.alt = "";
+  image.loading = "lazy";
+
+  const info = document.createElement("div");
+  info.className = "favorite-card__info";
+  const name = document.createElement("h3");
+  name.className = "favorite-card__name";
+  name.textContent = item.name || "Unnamed Item";
+  const meta = document.createElement("p");
+  meta.className = "favorite-card__meta";
+  const availability = getAvailabilityMeta(item);
+  meta.textContent = [
+    formatPrice(item.price, "Price negotiable"),
+    availability.value !== "available" ? availability.label : "",
+  ].filter(Boolean).join(" · ");
+  info.appendChild(name);
+  info.appendChild(meta);
+
+  link.appendChild(image);
+  link.appendChild(info);
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "favorite-btn is-favorite";
+  removeBtn.setAttribute("aria-label", `Remove ${item.name || "item"} from favorites`);
+  removeBtn.innerHTML = '<i class="fas fa-heart" aria-hidden="true"></i>';
+  removeBtn.addEventListener("click", async () => {
+    removeBtn.disabled = true;
+    try {
+      await setFavorite(currentUser, item.id, false);
+    } catch (err) {
+      console.error("Failed to remove favorite", err);
+      removeBtn.disabled = false;
+    }
+  });
+
+  card.appendChild(link);
+  card.appendChild(removeBtn);
+  return card;
+}
+
+// =====================================================
+// PUSH NOTIFICATIONS
+// =====================================================
+async function loadPushSettings() {
+  if (!isPushSupported()) return;
+  try {
+    pushEnabled = await isPushEnabled(currentUser.uid);
+  } catch (err) {
+    console.error("Failed to load notification settings", err);
+    pushEnabled = false;
+  }
+  renderPushSettings();
+  pushSettings.hidden = false;
+}
+
+function renderPushSettings(message) {
+  const blocked = getPushPermission() === "denied";
+  pushToggle.disabled = blocked && !pushEnabled;
+  pushToggle.textContent = pushEnabled ? "Turn off" : "Turn on";
+  if (message) {
+    pushSettingsStatus.textContent = message;
+  } else if (blocked) {
+    pushSettingsStatus.textContent = "Notifications are blocked for this site. Allow them in your browser settings to turn them on.";
+  } else if (pushEnabled) {
+    pushSettingsStatus.textContent = "On for this device. We'll notify you when a request's status changes or we send you a message.";
+  } else {
+    pushSettingsStatus.textContent = "Get a notification when a request's status changes or we send you a message.";
+  }
+}
+
+async function handlePushToggle() {
+  if (!currentUser) return;
+  pushToggle.disabled = true;
+  try {
+    if (pushEnabled) {
+      await disablePush(currentUser.uid);
+      pushEnabled = false;
+    } else {
+      await enablePush(currentUser.uid);
+      pushEnabled = true;
+    }
+    renderPushSettings();
+  } catch (err) {
+    if (err.code === PUSH_DENIED) {
+      renderPushSettings();
+      return;
+    }
+    console.error("Failed to update notifications", err);
+    renderPushSettings("Couldn't update notifications. Please try again.");
+  } finally {
+    pushToggle.disabled = getPushPermission() === "denied" && !pushEnabled;
+  }
+}
+
 if (document.readyState === "loading") {
   document.addEventListener("DOMContentLoaded", init);
 } else {
@@ -0,0 +1,247 @@
+/**
+ * Push Notifications
+ *
+ * Requesters can opt in from their profile page to hear when an admin
+ * changes their request's status or sends them a message. Each browser that
+ * opts in adds its push subscription to the user's users document:
+ *
+ *   pushSubscriptions: [{ endpoint, keys: { p256dh, auth } }, ...]
+ *
+ * There's no server, so the admin page that made the change sends the push
+ * right after its write, through the transport named in PUSH_CONFIG:
+ *
+ *   none    - sends nothing, and the profile page doesn't offer the toggle
+ *             (the default until a relay is deployed)
+ *   relay   - POSTs { subscriptions, payload } to relayUrl, an HTTP endpoint
+ *             (e.g. a Cloud Function using the web-push library) that holds
+ *             the VAPID private key matching vapidPublicKey. The toggle is
+ *             only offered once vapidPublicKey is set.
+ *   standin - local testing only: the payload is handed to the sending
+ *             browser's own service worker, which shows it like a real push.
+ *             Sign in as the requester in one tab and as an admin in another
+ *             tab of the same browser to try the whole flow.
+ *
+ * Clicking a notification opens the request's card on profile.html.
+ */
+import { db, doc, getDoc, setDoc, arrayUnion, arrayRemove } from "./firebaseClient.js";
+import { getStatusLabel, getStatusDescription } from "./requestStatus.js";
+
+// =====================================================
+// CONFIGURATION
+// =====================================================
+export const PUSH_CONFIG = {
+  transport: "none", // UPDATE THIS to "relay" once a push relay is deployed
+  vapidPublicKey: "", // Public half of the relay's VAPID key pair
+  relayUrl: "", // Endpoint for the relay transport
+};
+
+export const PUSH_EVENTS = {
+  STATUS_CHANGED: "statusChanged",
+  MESSAGE: "message",
+};
+
+// Error code thrown when the browser's notification permission is refused
+export const PUSH_DENIED = "push-denied";
+
+// Message type sw.js listens for in place of a real push (keep in sync)
+const STANDIN_MESSAGE = "push-standin";
+const STANDIN_ENDPOINT_KEY = "pushStandinEndpoint";
+const STANDIN_PREFIX = "standin:";
+
+const userRef = (userId) => doc(db, "users", userId);
+
+/**
+ * Whether this browser can receive notifications with the current transport
+ * @returns {boolean}
+ */
+export function isPushSupported() {
+  if (!("serviceWorker" in navigator) || !("Notification" in window)) return false;
+  if (PUSH_CONFIG.transport === "standin") return true;
+  return PUSH_CONFIG.transport === "relay" && Boolean(PUSH_CONFIG.vapidPublicKey) && "PushManager" in window;
+}
+
+/**
+ * The browser's notification permission: "default", "granted" or "denied"
+ * @returns {string}
+ */
+export function getPushPermission() {
+  return "Notification" in window ? Notification.permission : "denied";
+}
+
+async function getServiceWorkerRegistration() {
+  await navigator.serviceWorker.register("sw.js");
+  return navigator.serviceWorker.ready;
+}
+
+// VAPID keys are URL-safe base64; subscribe() wants the raw bytes
+function urlBase64ToUint8Array(value) {
+  const padding = "=".repeat((4 - (value.length % 4)) % 4);
+  const raw = atob((value + padding).replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+}
+
+// This browser's subscription as stored in Firestore, or null
+async function getCurrentSubscription() {
+  if (PUSH_CONFIG.transport === "standin") {
+    const endpoint = localStorage.getItem(STANDIN_ENDPOINT_KEY);
+    return endpoint ? { endpoint } : null;
+  }
+  const registration = await getServiceWorkerRegistration();
+  const subscription = await registration.pushManager.getSubscription();
+  return subscription ? subscription.toJSON() : null;
+}
+
+async function createSubscription() {
+  if (PUSH_CONFIG.transport === "standin") {
+    const endpoint = `${STANDIN_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    localStorage.setItem(STANDIN_ENDPOINT_KEY, endpoint);
+    return { endpoint };
+  }
+  if (!PUSH_CONFIG.vapidPublicKey) throw new Error("PUSH_CONFIG.vapidPublicKey is not set");
+  const registration = await getServiceWorkerRegistration();
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(PUSH_CONFIG.vapidPublicKey),
+  });
+  return subscription.toJSON();
+}
+
+/**
+ * Whether this browser is subscribed for the user
+ * @param {string} userId - Signed-in user's uid
+ * @returns {Promise<boolean>}
+ */
+export async function isPushEnabled(userId) {
+  if (!isPushSupported() || getPushPermission() !== "granted") return false;
+  const current = await getCurrentSubscription();
+  if (!current) return false;
+  const snapshot = await getDoc(userRef(userId));
+  const stored = snapshot.exists() ? snapshot.data().pushSubscriptions || [] : [];
+  return stored.some((subscription) => subscription.endpoint === current.endpoint);
+}
+
+/**
+ * Ask for permission and subscribe this browser for the user
+ * @param {string} userId - Signed-in user's uid
+ * @returns {Promise<void>}
+ * @throws {Error} With code PUSH_DENIED when permission is refused
+ */
+export async function enablePush(userId) {
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") {
+    const err = new Error("Notification permission was not granted.");
+    err.code = PUSH_DENIED;
+    throw err;
+  }
+  const subscription = (await getCurrentSubscription()) || (await createSubscription());
+  await setDoc(userRef(userId), { pushSubscriptions: arrayUnion(subscription) }, { merge: true });
+}
+
+/**
+ * Unsubscribe this browser and remove it from the user's document
+ * @param {string} userId - Signed-in user's uid
+ * @returns {Promise<void>}
+ */
+export async function disablePush(userId) {
+  const subscription = await getCurrentSubscription();
+  if (!subscription) return;
+  await setDoc(userRef(userId), { pushSubscriptions: arrayRemove(subscription) }, { merge: true });
+  if (PUSH_CONFIG.transport === "standin") {
+    localStorage.removeItem(STANDIN_ENDPOINT_KEY);
+  } else {
+    const registration = await getServiceWorkerRegistration();
+    await (await registration.pushManager.getSubscription())?.unsubscribe();
+  }
+}
+
+// =====================================================
+// SENDING
+// =====================================================
+/**
+ * Build the notification for a request update
+ * @param {string} event - One of PUSH_EVENTS
+ * @param {Object} request - Request document data (with id), after the change
+ * @param {{ text?: string }} [extra] - Message text for PUSH_EVENTS.MESSAGE
+ * @returns {{ title: string, body: string, url: string, tag: string }}
+ */
+export function buildPushPayload(event, request, { text = "" } = {}) {
+  const itemName = request.itemName || "your request";
+  const payload = {
+    url: `profile.html#request-${encodeURIComponent(request.id)}`,
+    // One notification per request; a newer update replaces the older one
+    tag: `request-${request.id}`,
+  };
+  if (event === PUSH_EVENTS.MESSAGE) {
+    const preview = text.length > 120 ? `${text.slice(0, 117)}…` : text;
+    return { ...payload, title: `New message about ${itemName}`, body: preview };
+  }
+  return {
+    ...payload,
+    title: `${itemName}: ${getStatusLabel(request.status)}`,
+    body: getStatusDescription(request.status) || "Your request was updated.",
+  };
+}
+
+const pushTransports = {
+  none: {
+    async send() {},
+  },
+  standin: {
+    async send(subscriptions, payload) {
+      if (!subscriptions.some((s) => s.endpoint?.startsWith(STANDIN_PREFIX))) return;
+      const registration = await getServiceWorkerRegistration();
+      registration.active?.postMessage({ type: STANDIN_MESSAGE, payload });
+    },
+  },
+  relay: {
+    async send(subscriptions, payload) {
+      if (!PUSH_CONFIG.relayUrl) throw new Error("PUSH_CONFIG.relayUrl is not set");
+      const response = await fetch(PUSH_CONFIG.relayUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          subscriptions: subscriptions.filter((s) => !s.endpoint?.startsWith(STANDIN_PREFIX)),
+          payload,
+        }),
+        keepalive: true,
+      });
+      if (!response.ok) throw new Error(`Push relay responded ${response.status}`);
+    },
+  },
+};
+
+/**
+ * Push a request update to every browser the requester subscribed. Never
+ * throws: a failed push is logged and shouldn't undo the change behind it.
+ * @param {string} event - One of PUSH_EVENTS
+ * @param {Object} request - Request document data (with id), after the change
+ * @param {{ text?: string }} [extra] - Message text for PUSH_EVENTS.MESSAGE
+ * @returns {Promise<void>}
+ */
+export async function pushToRequester(event, request, extra = {}) {
+  try {
+    if (!request.userId || PUSH_CONFIG.transport === "none") return;
+    const snapshot = await getDoc(userRef(request.userId));
+    const subscriptions = snapshot.exists() ? snapshot.data().pushSubscriptions || [] : [];
+    if (!subscriptions.length) return;
+
+    const transport = pushTransports[PUSH_CONFIG.transport];
+    if (!transport) throw new Error(`Unknown push transport "${PUSH_CONFIG.transport}"`);
+    await transport.send(subscriptions, buildPushPayload(event, request, extra));
+  } catch (err) {
+    console.error("Push notification failed", err);
+  }
+}
+
+export default {
+  PUSH_CONFIG,
+  PUSH_EVENTS,
+  PUSH_DENIED,
+  isPushSupported,
+  getPushPermission,
+  isPushEnabled,
+  enablePush,
+  disablePush,
+  buildPushPayload,
+  pushToRequester,
+};
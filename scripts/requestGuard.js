@@ -0,0 +1,186 @@
+/**
+ * Open Request Guard
+ *
+ * A user can only have one open request per item. Firestore rules can't
+ * query, so each open request owns a guard document keyed by user and item:
+ *
+ *   openRequests/{userId}_{itemId}: { userId, itemId, requestId }
+ *
+ * The guard is created in the same transaction as the request. Creating it
+ * fails if it already exists, so a second request for the same item is
+ * refused even if the page's own check is bypassed. It's removed when the
+ * request closes (completed/declined) or is deleted.
+ *
+ * Requests opened before guards existed have none; admins create them once
+ * with backfillOpenRequestGuard (offered by the admin console).
+ */
+import { db, collection, doc, getDocs, updateDoc, runTransaction } from "./firebaseClient.js";
+import { isOpenStatus } from "./requestStatus.js";
+
+// Error code thrown when the user already has an open request for the item
+export const DUPLICATE_REQUEST = "duplicate-request";
+
+/**
+ * Guard document id for a user and item
+ * @param {string} userId - Requester's uid
+ * @param {string} itemId - Item id
+ * @returns {string}
+ */
+export function getOpenRequestKey(userId, itemId) {
+  return `${userId}_${itemId}`;
+}
+
+function guardRef(userId, itemId) {
+  return doc(db, "openRequests", getOpenRequestKey(userId, itemId));
+}
+
+/**
+ * The user's open request for an item, from already-loaded requests
+ * @param {Array<Object>} requests - The user's requests
+ * @param {string} itemId - Item id
+ * @returns {Object|null}
+ */
+export function findOpenRequest(requests, itemId) {
+  return requests.find((r) => r.itemId === itemId && isOpenStatus(r.status)) || null;
+}
+
+/**
+ * Inside a request-creating transaction: make sure no open request exists
+ * and return a write that claims the guard. Call before any writes.
+ * @param {import("firebase/firestore").Transaction} transaction - Running transaction
+ * @param {{ userId: string, itemId: string }} payload - New request fields
+ * @param {string} requestId - Id the new request will get
+ * @returns {Promise<Function>} Call with the transaction to write the guard
+ * @throws {Error} With code DUPLICATE_REQUEST and `requestId` of the open request
+ */
+export async function checkOpenRequestGuard(transaction, { userId, itemId }, requestId) {
+  const ref = guardRef(userId, itemId);
+  const snapshot = await transaction.get(ref);
+  if (snapshot.exists()) {
+    const err = new Error("You already have an open request for this item.");
+    err.code = DUPLICATE_REQUEST;
+    err.requestId = snapshot.data().requestId;
+    throw err;
+  }
+  return (tx) => tx.set(ref, { userId, itemId, requestId });
+}
+
+/**
+ * Queue the guard's removal when a request closes (admins only: batches
+ * can't read, so the guard is removed without checking who owns it)
+ * @param {import("firebase/firestore").WriteBatch} batch - Batch to add writes to
+ * @param {Object} request - Request document data (with id)
+ */
+export function releaseOpenRequestInBatch(batch, request) {
+  if (!request.userId || !request.itemId) return;
+  batch.delete(guardRef(request.userId, request.itemId));
+}
+
+/**
+ * Reopen a closed request (admins only), claiming its guard in the same
+ * transaction. Refused if the guard belongs to another request that's still
+ * open, since the requester asked for the item again after this one closed.
+ * @param {Object} request - Request document data (with id)
+ * @param {Object} update - Fields to write on the request (its new status)
+ * @returns {Promise<void>}
+ * @throws {Error} With code DUPLICATE_REQUEST and `requestId` of the open request
+ */
+export async function reopenRequestClaimingGuard(request, update) {
+  const requestRef = doc(db, "requests", request.id);
+  if (!request.userId || !request.itemId) {
+    await updateDoc(requestRef, update);
+    return;
+  }
+
+  const ref = guardRef(request.userId, request.itemId);
+  await runTransaction(db, async (transaction) => {
+    // All reads happen before any writes
+    const snapshot = await transaction.get(ref);
+    const otherId = snapshot.exists() ? snapshot.data().requestId : null;
+    if (otherId && otherId !== request.id) {
+      const other = await transaction.get(doc(db, "requests", otherId));
+      if (other.exists() && isOpenStatus(other.data().status)) {
+        const err = new Error("The requester already has another open request for this item.");
+        err.code = DUPLICATE_REQUEST;
+        err.requestId = otherId;
+        throw err;
+      }
+    }
+    transaction.update(requestRef, update);
+    transaction.set(ref, { userId: request.userId, itemId: request.itemId, requestId: request.id });
+  });
+}
+
+/**
+ * Inside a request-deleting transaction: read the guard so it can be
+ * removed if (and only if) it belongs to this request. Call before any writes.
+ * @param {import("firebase/firestore").Transaction} transaction - Running transaction
+ * @param {Object} request - Request document data (with id)
+ * @returns {Promise<Function>} Call with the transaction to remove the guard
+ */
+export async function readGuardForDelete(transaction, request) {
+  if (!request.userId || !request.itemId) return () => {};
+  const ref = guardRef(request.userId, request.itemId);
+  const snapshot = await transaction.get(ref);
+  const ownsGuard = snapshot.exists() && snapshot.data().requestId === request.id;
+  return (tx) => {
+    if (ownsGuard) tx.delete(ref);
+  };
+}
+
+// =====================================================
+// BACKFILL
+// =====================================================
+/**
+ * Keys of every existing guard (admins only)
+ * @returns {Promise<Set<string>>}
+ */
+export async function loadOpenRequestKeys() {
+  const snapshot = await getDocs(collection(db, "openRequests"));
+  return new Set(snapshot.docs.map((d) => d.id));
+}
+
+/**
+ * Open requests with no guard, one per user and item (the oldest when a
+ * user has several open for the same item)
+ * @param {Array<Object>} requests - All loaded requests, newest first
+ * @param {Set<string>} guardKeys - Keys from loadOpenRequestKeys
+ * @returns {Array<Object>}
+ */
+export function findUnguardedRequests(requests, guardKeys) {
+  const byKey = new Map();
+  requests.forEach((request) => {
+    if (!request.userId || !request.itemId || !isOpenStatus(request.status)) return;
+    const key = getOpenRequestKey(request.userId, request.itemId);
+    if (!guardKeys.has(key)) byKey.set(key, request);
+  });
+  return Array.from(byKey.values());
+}
+
+/**
+ * Create the missing guard for an open request (admins only). Leaves any
+ * guard created since the keys were loaded alone.
+ * @param {Object} request - Request document data (with id)
+ * @returns {Promise<boolean>} Whether a guard was created
+ */
+export async function backfillOpenRequestGuard(request) {
+  const ref = guardRef(request.userId, request.itemId);
+  return runTransaction(db, async (transaction) => {
+    if ((await transaction.get(ref)).exists()) return false;
+    transaction.set(ref, { userId: request.userId, itemId: request.itemId, requestId: request.id });
+    return true;
+  });
+}
+
+export default {
+  DUPLICATE_REQUEST,
+  getOpenRequestKey,
+  findOpenRequest,
+  checkOpenRequestGuard,
+  releaseOpenRequestInBatch,
+  reopenRequestClaimingGuard,
+  readGuardForDelete,
+  loadOpenRequestKeys,
+  findUnguardedRequests,
+  backfillOpenRequestGuard,
+};
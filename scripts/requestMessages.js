@@ -0,0 +1,324 @@
+/**
+ * Request Messages
+ *
+ * Each request has a message thread between the requester and the admins in
+ * the `requests/{requestId}/messages` subcollection:
+ *
+ *   { text, authorId, authorName, fromAdmin: true, createdAt }
+ *
+ * The request document keeps unread counters so lists can show badges
+ * without opening every thread: `unreadByAdmin` counts requester messages
+ * admins haven't opened yet, `unreadByRequester` the reverse. Sending bumps
+ * the other side's counter; opening the thread resets your own.
+ */
+import {
+  db,
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  writeBatch,
+  serverTimestamp,
+  increment,
+  subscribeToMessages,
+  subscribeToRequests,
+  subscribeToUserRequests,
+} from "./firebaseClient.js";
+import { formatRequestDate } from "./requestStatus.js";
+
+export const MESSAGE_MAX_LENGTH = 1000;
+
+const unreadField = (fromAdmin) => (fromAdmin ? "unreadByAdmin" : "unreadByRequester");
+
+/**
+ * Unread messages on a request for one side of the thread
+ * @param {Object} request - Request document data
+ * @param {boolean} asAdmin - Count for admins (true) or the requester (false)
+ * @returns {number}
+ */
+export function getUnreadCount(request, asAdmin) {
+  return request[unreadField(asAdmin)] || 0;
+}
+
+/**
+ * Total unread messages across requests
+ * @param {Array<Object>} requests - Request documents
+ * @param {boolean} asAdmin - Count for admins (true) or the requester (false)
+ * @returns {number}
+ */
+export function countUnread(requests, asAdmin) {
+  return requests.reduce((total, request) => total + getUnreadCount(request, asAdmin), 0);
+}
+
+/**
+ * Post a message and bump the other side's unread counter
+ * @param {Object} request - Request document data (with id)
+ * @param {string} text - Message text
+ * @param {{ user: Object, fromAdmin: boolean }} author - Signed-in user and which side they're on
+ * @returns {Promise<void>}
+ */
+export async function sendMessage(request, text, { user, fromAdmin }) {
+  const batch = writeBatch(db);
+  batch.set(doc(collection(db, "requests", request.id, "messages")), {
+    text,
+    authorId: user.uid,
+    authorName: user.displayName || user.email || "",
+    fromAdmin,
+    createdAt: serverTimestamp(),
+  });
+  batch.update(doc(db, "requests", request.id), {
+    [unreadField(!fromAdmin)]: increment(1),
+    lastMessageAt: serverTimestamp(),
+  });
+  await batch.commit();
+}
+
+/**
+ * Reset your side's unread counter
+ * @param {Object} request - Request document data (with id)
+ * @param {boolean} asAdmin - Whether the reader is an admin
+ * @returns {Promise<void>}
+ */
+export async function markThreadRead(request, asAdmin) {
+  if (!getUnreadCount(request, asAdmin)) return;
+  await updateDoc(doc(db, "requests", request.id), { [unreadField(asAdmin)]: 0 });
+}
+
+/**
+ * Delete a request's messages. Firestore keeps subcollections when their
+ * parent is deleted, so call this before deleting the request.
+ * @param {string} requestId - Request id
+ * @returns {Promise<void>}
+ */
+export async function deleteMessages(requestId) {
+  const snapshot = await getDocs(collection(db, "requests", requestId, "messages"));
+  if (snapshot.empty) return;
+  const batch = writeBatch(db);
+  snapshot.docs.forEach((d) => batch.delete(d.ref));
+  await batch.commit();
+}
+
+/**
+ * Show an unread count on a nav link (hidden at zero)
+ * @param {HTMLElement|null} link - Link to badge
+ * @param {number} count - Unread messages
+ */
+export function setUnreadBadge(link, count) {
+  if (!link) return;
+  let badge = link.querySelector(".nav-unread-badge");
+  if (!badge) {
+    badge = document.createElement("span");
+    badge.className = "nav-unread-badge";
+    link.appendChild(badge);
+  }
+  badge.textContent = count > 99 ? "99+" : String(count);
+  badge.hidden = count === 0;
+  badge.setAttribute("aria-label", `${count} unread message${count !== 1 ? "s" : ""}`);
+}
+
+/**
+ * Keep unread badges on the header links up to date: the profile links count
+ * replies to the user's own requests, the admin links (admins only) count
+ * requester messages across all requests.
+ * @param {Object|null} user - Signed-in user
+ * @param {boolean} isAdmin - Whether the user is an admin
+ * @param {{ profileLinks?: Array<HTMLElement|null>, adminLinks?: Array<HTMLElement|null> }} links - Links to badge
+ * @returns {Function} Unsubscribe
+ */
+export function watchUnreadBadges(user, isAdmin, { profileLinks = [], adminLinks = [] }) {
+  const unsubscribers = [];
+  if (user) {
+    unsubscribers.push(
+      subscribeToUserRequests(user.uid, (requests) => {
+        profileLinks.forEach((link) => setUnreadBadge(link, countUnread(requests, false)));
+      })
+    );
+  }
+  if (user && isAdmin) {
+    unsubscribers.push(
+      subscribeToRequests((requests) => {
+        adminLinks.forEach((link) => setUnreadBadge(link, countUnread(requests, true)));
+      })
+    );
+  }
+  return () => {
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+    [...profileLinks, ...adminLinks].forEach((link) => setUnreadBadge(link, 0));
+  };
+}
+
+// =====================================================
+// THREAD UI
+// =====================================================
+function renderMessage(message, asAdmin) {
+  const mine = message.fromAdmin === asAdmin;
+  const item = document.createElement("li");
+  item.className = `message-thread__message${mine ? " message-thread__message--mine" : ""}`;
+
+  const text = document.createElement("p");
+  text.className = "message-thread__text";
+  text.textContent = message.text;
+
+  const meta = document.createElement("span");
+  meta.className = "message-thread__meta";
+  // Requesters see replies from "Onyx & Basil" rather than a named admin
+  let who = message.authorName || (message.fromAdmin ? "Admin" : "Requester");
+  if (mine) who = "You";
+  else if (message.fromAdmin && !asAdmin) who = "Onyx & Basil";
+  meta.textContent = [who, formatRequestDate(message.createdAt)].filter(Boolean).join(" · ");
+
+  item.appendChild(text);
+  item.appendChild(meta);
+  return item;
+}
+
+/**
+ * Collapsible message thread for a request card. The thread only listens
+ * for messages while it's open, and marks them read as they arrive.
+ *
+ * The returned element can be moved between re-rendered cards; call
+ * update() with the latest request data and destroy() when the request goes.
+ *
+ * @param {Object} request - Request document data (with id)
+ * @param {{ getUser: Function, asAdmin: boolean, onSent?: Function }} options - Current user getter,
+ *   which side is viewing, and an optional callback receiving (request, text) after each send
+ * @returns {{ element: HTMLElement, update: Function, destroy: Function }}
+ */
+export function createMessageThread(request, { getUser, asAdmin, onSent }) {
+  let latest = request;
+  let unsubscribe = null;
+
+  const element = document.createElement("section");
+  element.className = "message-thread";
+
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "message-thread__toggle";
+  toggle.setAttribute("aria-expanded", "false");
+
+  const panel = document.createElement("div");
+  panel.className = "message-thread__panel";
+  panel.hidden = true;
+
+  const list = document.createElement("ol");
+  list.className = "message-thread__list";
+  list.setAttribute("aria-live", "polite");
+
+  const form = document.createElement("form");
+  form.className = "message-thread__form";
+  const input = document.createElement("textarea");
+  input.className = "message-thread__input";
+  input.rows = 2;
+  input.maxLength = MESSAGE_MAX_LENGTH;
+  input.placeholder = asAdmin ? "Reply to the requester…" : "Message Onyx & Basil…";
+  input.setAttribute("aria-label", "Message");
+  const sendBtn = document.createElement("button");
+  sendBtn.type = "submit";
+  sendBtn.className = "message-thread__send";
+  sendBtn.setAttribute("aria-label", "Send message");
+  sendBtn.innerHTML = '<i class="fas fa-paper-plane" aria-hidden="true"></i>';
+  const status = document.createElement("p");
+  status.className = "message-thread__status";
+  status.hidden = true;
+  form.append(input, sendBtn);
+
+  panel.append(list, form, status);
+  element.append(toggle, panel);
+
+  const renderToggle = () => {
+    const unread = getUnreadCount(latest, asAdmin);
+    toggle.innerHTML = `<i class="fas fa-comments" aria-hidden="true"></i><span>Messages</span>${
+      unread ? `<span class="nav-unread-badge">${unread}</span>` : ""
+    }<i class="fas fa-chevron-down message-thread__chevron" aria-hidden="true"></i>`;
+  };
+
+  const open = () => {
+    panel.hidden = false;
+    element.classList.add("open");
+    toggle.setAttribute("aria-expanded", "true");
+    list.innerHTML = '<li class="message-thread__empty">Loading…</li>';
+    unsubscribe = subscribeToMessages(
+      latest.id,
+      (messages) => {
+        list.innerHTML = "";
+        if (!messages.length) {
+          list.innerHTML = '<li class="message-thread__empty">No messages yet.</li>';
+        }
+        messages.forEach((message) => list.appendChild(renderMessage(message, asAdmin)));
+        list.scrollTop = list.scrollHeight;
+      },
+      () => {
+        list.innerHTML = '<li class="message-thread__empty">Error loading messages.</li>';
+      }
+    );
+    markThreadRead(latest, asAdmin).catch((err) => console.error("Mark read failed", err));
+  };
+
+  const close = () => {
+    unsubscribe?.();
+    unsubscribe = null;
+    panel.hidden = true;
+    element.classList.remove("open");
+    toggle.setAttribute("aria-expanded", "false");
+  };
+
+  toggle.addEventListener("click", () => (panel.hidden ? open() : close()));
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const text = input.value.trim();
+    const user = getUser();
+    if (!text || !user) return;
+    sendBtn.disabled = true;
+    status.hidden = true;
+    try {
+      await sendMessage(latest, text, { user, fromAdmin: asAdmin });
+      input.value = "";
+      onSent?.(latest, text);
+    } catch (err) {
+      console.error("Send failed", err);
+      status.textContent = "Error sending message. Please try again.";
+      status.hidden = false;
+    } finally {
+      sendBtn.disabled = false;
+    }
+  });
+
+  // Enter sends, Shift+Enter adds a new line
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      form.requestSubmit();
+    }
+  });
+
+  renderToggle();
+
+  return {
+    element,
+    update(request) {
+      latest = request;
+      renderToggle();
+      // New messages arriving while the thread is open count as read
+      if (unsubscribe) {
+        markThreadRead(latest, asAdmin).catch((err) => console.error("Mark read failed", err));
+      }
+    },
+    destroy() {
+      close();
+      element.remove();
+    },
+  };
+}
+
+export default {
+  MESSAGE_MAX_LENGTH,
+  getUnreadCount,
+  countUnread,
+  sendMessage,
+  markThreadRead,
+  deleteMessages,
+  setUnreadBadge,
+  watchUnreadBadges,
+  createMessageThread,
+};
@@ -0,0 +1,112 @@
+/**
+ * Request Queue Helpers
+ *
+ * Groups requests by item into a ranked waitlist so admins can see who
+ * currently holds an item, who is next in line, and reorder the line.
+ *
+ * Rank is stored on each waiting request as `queueRank` (1-based) so the
+ * requester's profile can show their place in line. Requests that have
+ * never been ranked sort after ranked ones, oldest first.
+ */
+import { getStatusMeta, isOpenStatus } from "./requestStatus.js";
+
+// Statuses that mean the requester currently holds the item
+const HOLDER_STATUSES = ["accepted", "pending"];
+
+/**
+ * Whether a request currently holds its item
+ * @param {Object} request - Request document data
+ * @returns {boolean}
+ */
+export function isHolder(request) {
+  return HOLDER_STATUSES.includes(getStatusMeta(request.status).value);
+}
+
+/**
+ * Whether a request is waiting in line (open, but not holding the item)
+ * @param {Object} request - Request document data
+ * @returns {boolean}
+ */
+export function isWaiting(request) {
+  return isOpenStatus(request.status) && !isHolder(request);
+}
+
+function toMillis(timestamp) {
+  if (!timestamp) return Infinity; // Pending server timestamps sort last
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+  return date.getTime();
+}
+
+/**
+ * Sort waiting requests into queue order: ranked first, then oldest first
+ * @param {Array<Object>} requests - Waiting requests for one item
+ * @returns {Array<Object>} New sorted array
+ */
+export function sortQueue(requests) {
+  return [...requests].sort((a, b) => {
+    const aRank = typeof a.queueRank === "number" ? a.queueRank : Infinity;
+    const bRank = typeof b.queueRank === "number" ? b.queueRank : Infinity;
+    if (aRank !== bRank) return aRank - bRank;
+    return toMillis(a.createdAt) - toMillis(b.createdAt);
+  });
+}
+
+/**
+ * Build the queue for a single item
+ * @param {Array<Object>} requests - All loaded requests
+ * @param {string} itemId - Item to build the queue for
+ * @returns {{ holder: Object|null, queue: Array<Object>, closed: Array<Object> }}
+ */
+export function getItemQueue(requests, itemId) {
+  const forItem = requests.filter((r) => r.itemId === itemId);
+  return {
+    holder: forItem.find(isHolder) || null,
+    queue: sortQueue(forItem.filter(isWaiting)),
+    closed: forItem.filter((r) => !isOpenStatus(r.status)),
+  };
+}
+
+/**
+ * Group requests by item, busiest queues first
+ * @param {Array<Object>} requests - All loaded requests
+ * @returns {Array<{ itemId: string, itemName: string, holder: Object|null, queue: Array<Object>, closed: Array<Object> }>}
+ */
+export function groupRequestsByItem(requests) {
+  const names = new Map();
+  requests.forEach((r) => {
+    if (!names.has(r.itemId)) names.set(r.itemId, r.itemName || "Item");
+  });
+
+  return Array.from(names.entries())
+    .map(([itemId, itemName]) => ({ itemId, itemName, ...getItemQueue(requests, itemId) }))
+    .sort((a, b) => {
+      const aOpen = a.queue.length + (a.holder ? 1 : 0);
+      const bOpen = b.queue.length + (b.holder ? 1 : 0);
+      if (aOpen !== bOpen) return bOpen - aOpen;
+      return a.itemName.localeCompare(b.itemName);
+    });
+}
+
+/**
+ * Move an entry within a queue
+ * @param {Array<Object>} queue - Queue in current order
+ * @param {number} fromIndex - Current position (0-based)
+ * @param {number} toIndex - Target position (0-based)
+ * @returns {Array<Object>} New array in the updated order
+ */
+export function moveInQueue(queue, fromIndex, toIndex) {
+  const next = [...queue];
+  if (toIndex < 0 || toIndex >= next.length) return next;
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return next;
+}
+
+export default {
+  isHolder,
+  isWaiting,
+  sortQueue,
+  getItemQueue,
+  groupRequestsByItem,
+  moveInQueue,
+};
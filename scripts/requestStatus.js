@@ -0,0 +1,169 @@
+/**
+ * Request Status Helpers
+ *
+ * Shared definitions for the request lifecycle, used by the admin console
+ * to move requests along and by the profile page to show progress:
+ *
+ *   new → contacted → accepted → pending pickup → completed / declined
+ *
+ * When a request is accepted, every other open request for the same item
+ * is moved to "waitlisted".
+ *
+ * Every transition is appended to the request's `statusHistory` array
+ * ({ status, changedAt }) so requesters can see when things happened.
+ */
+import { serverTimestamp, arrayUnion, Timestamp } from "./firebaseClient.js";
+
+// Ordered list of statuses (order drives the admin dropdown and filter chips)
+export const REQUEST_STATUSES = [
+  { value: "new", label: "New", icon: "fa-inbox" },
+  { value: "contacted", label: "Contacted", icon: "fa-comments" },
+  { value: "accepted", label: "Accepted", icon: "fa-star" },
+  { value: "waitlisted", label: "Waitlisted", icon: "fa-list-ol" },
+  { value: "pending", label: "Pending Pickup", icon: "fa-box" },
+  { value: "completed", label: "Completed", icon: "fa-check" },
+  { value: "declined", label: "Declined", icon: "fa-ban" },
+];
+
+// Statuses that end the lifecycle
+const CLOSED_STATUSES = ["completed", "declined"];
+
+/**
+ * Look up the definition for a status, falling back to "new"
+ * @param {string} status - Stored status value
+ * @returns {{ value: string, label: string, icon: string }}
+ */
+export function getStatusMeta(status) {
+  return REQUEST_STATUSES.find((s) => s.value === status) || REQUEST_STATUSES[0];
+}
+
+/**
+ * Human-readable label for a status
+ * @param {string} status - Stored status value
+ * @returns {string}
+ */
+export function getStatusLabel(status) {
+  return getStatusMeta(status).label;
+}
+
+/**
+ * Whether a request is still in progress (not completed or declined)
+ * @param {string} status - Stored status value
+ * @returns {boolean}
+ */
+export function isOpenStatus(status) {
+  return !CLOSED_STATUSES.includes(getStatusMeta(status).value);
+}
+
+// Short explanations shown to requesters on their profile cards
+const STATUS_DESCRIPTIONS = {
+  accepted: "You got it! We'll reach out to arrange pickup.",
+  waitlisted: "Someone else is ahead of you for this item. We'll reach out if it falls through.",
+  declined: "This request was declined. Thanks for understanding!",
+};
+
+/**
+ * Requester-facing explanation for a status, if it needs one
+ * @param {string} status - Stored status value
+ * @returns {string|null}
+ */
+export function getStatusDescription(status) {
+  return STATUS_DESCRIPTIONS[getStatusMeta(status).value] || null;
+}
+
+/**
+ * Initial fields for a newly created request
+ * @returns {Object} Fields to spread into the addDoc payload
+ */
+export function buildInitialStatus() {
+  return {
+    status: "new",
+    statusHistory: [{ status: "new", changedAt: Timestamp.now() }],
+  };
+}
+
+/**
+ * Build the updateDoc payload for a status transition
+ * @param {string} status - New status value
+ * @returns {Object} Fields to pass to updateDoc
+ */
+export function buildStatusUpdate(status) {
+  return {
+    status,
+    statusUpdatedAt: serverTimestamp(),
+    // serverTimestamp() is not allowed inside arrays, so use the client clock
+    statusHistory: arrayUnion({ status, changedAt: Timestamp.now() }),
+  };
+}
+
+/**
+ * Get the ordered list of transitions for a request.
+ * Older requests have no history, so createdAt stands in for "new".
+ * @param {Object} request - Request document data
+ * @returns {Array<{ status: string, changedAt: any }>}
+ */
+export function getStatusHistory(request) {
+  const history = Array.isArray(request.statusHistory) ? [...request.statusHistory] : [];
+
+  if (!history.some((entry) => entry.status === "new") && request.createdAt) {
+    history.unshift({ status: "new", changedAt: request.createdAt });
+  }
+
+  return history.sort((a, b) => toMillis(a.changedAt) - toMillis(b.changedAt));
+}
+
+function toMillis(timestamp) {
+  if (!timestamp) return 0;
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+  return date.getTime();
+}
+
+/**
+ * Format a Firestore timestamp as "Today at 3:15 PM", "Yesterday at …"
+ * or "Mar 2 at …"
+ * @param {Object|Date|number} timestamp - Firestore Timestamp or date-like value
+ * @returns {string|null}
+ */
+export function formatRequestDate(timestamp) {
+  if (!timestamp) return null;
+
+  // Handle Firestore timestamp
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+
+  const now = new Date();
+  const isToday = date.toDateString() === now.toDateString();
+  const yesterday = new Date(now);
+  yesterday.setDate(yesterday.getDate() - 1);
+  const isYesterday = date.toDateString() === yesterday.toDateString();
+
+  const timeStr = date.toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  });
+
+  if (isToday) {
+    return `Today at ${timeStr}`;
+  } else if (isYesterday) {
+    return `Yesterday at ${timeStr}`;
+  } else {
+    const dateStr = date.toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: date.getFullYear() !== now.getFullYear() ? 'numeric' : undefined
+    });
+    return `${dateStr} at ${timeStr}`;
+  }
+}
+
+export default {
+  REQUEST_STATUSES,
+  getStatusMeta,
+  getStatusLabel,
+  isOpenStatus,
+  getStatusDescription,
+  buildInitialStatus,
+  buildStatusUpdate,
+  getStatusHistory,
+  formatRequestDate,
+};
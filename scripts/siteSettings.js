@@ -0,0 +1,169 @@
+/**
+ * Site Settings
+ *
+ * Site-wide configuration lives in a single Firestore document,
+ * `settings/site`, so it can be changed from the admin console without a
+ * code change. Missing fields fall back to DEFAULT_SITE_SETTINGS.
+ *
+ *   categoryOrder:   tags that rank items in the storefront's default sort
+ *   ignoredTags:     helper tags skipped when ranking (e.g. "available now")
+ *   heroTitle:       first line of the storefront heading ("Onyx and Basil")
+ *   heroTitleAccent: highlighted second line ("are moving")
+ *   heroEyebrow:     line above the heading; built from the places and move
+ *                    date when left blank ("Denver → Berlin · March 2026")
+ *   heroDescription: paragraph under the heading
+ *   metaDescription: search/social description for the storefront
+ *   origin, destination: { name, lat, lng } for the hero globe
+ *   moveDate:        "YYYY-MM-DD"
+ */
+import { db, doc, setDoc, onSnapshot } from "./firebaseClient.js";
+import { parseDateOnly, daysUntil } from "./dateOnly.js";
+
+export const DEFAULT_SITE_SETTINGS = {
+  categoryOrder: ["furniture", "kitchen", "electronics", "decoration", "cats", "misc"],
+  ignoredTags: ["available now", "available feb"],
+  heroTitle: "Onyx and Basil",
+  heroTitleAccent: "are moving",
+  heroEyebrow: "",
+  heroDescription:
+    "We have to find new homes for all of our belongings. Everything is sliding scale or free. " +
+    "If you find something you want/need but can't afford, reach out anyway. We care most about " +
+    "our things having good homes. Queer, BIPOC, and low-income folks are prioritized. Some items " +
+    "available now, and some can be claimed for closer to the move in Feb, reflected in the tags and descriptions.",
+  metaDescription:
+    "Onyx and Basil are moving from Denver CO to Berlin Germany in March 2026. " +
+    "Browse our moving sale items - all prices negotiable!",
+  origin: { name: "Denver", lat: 39.7392, lng: -104.9903 },
+  destination: { name: "Berlin", lat: 52.52, lng: 13.405 },
+  moveDate: "2026-03-01",
+};
+
+const settingsRef = () => doc(db, "settings", "site");
+
+function normalizeList(list) {
+  return Array.isArray(list)
+    ? list.map((tag) => String(tag).toLowerCase().trim()).filter(Boolean)
+    : null;
+}
+
+/**
+ * Merge stored settings over the defaults
+ * @param {Object|undefined} data - Settings document data
+ * @returns {typeof DEFAULT_SITE_SETTINGS}
+ */
+export function withDefaults(data = {}) {
+  return {
+    ...DEFAULT_SITE_SETTINGS,
+    ...data,
+    categoryOrder: normalizeList(data.categoryOrder) || DEFAULT_SITE_SETTINGS.categoryOrder,
+    ignoredTags: normalizeList(data.ignoredTags) || DEFAULT_SITE_SETTINGS.ignoredTags,
+    origin: { ...DEFAULT_SITE_SETTINGS.origin, ...data.origin },
+    destination: { ...DEFAULT_SITE_SETTINGS.destination, ...data.destination },
+  };
+}
+
+/**
+ * The move date as a local Date (midnight), or null if unset/invalid
+ * @param {Object} settings - Merged site settings
+ * @returns {Date|null}
+ */
+export function getMoveDate(settings) {
+  return parseDateOnly(settings.moveDate);
+}
+
+/**
+ * Countdown text for the hero, e.g. "12 days until the move"
+ * @param {Object} settings - Merged site settings
+ * @returns {string} Empty once the move date has passed or when unset
+ */
+export function getMoveCountdown(settings) {
+  const days = daysUntil(settings.moveDate);
+  if (days === null || days < 0) return "";
+  if (days === 0) return "Moving day is today";
+  if (days === 1) return "1 day until the move";
+  return `${days} days until the move`;
+}
+
+/**
+ * The hero eyebrow, e.g. "Denver → Berlin · March 2026"
+ * @param {Object} settings - Merged site settings
+ * @returns {string}
+ */
+export function getHeroEyebrow(settings) {
+  if (settings.heroEyebrow?.trim()) return settings.heroEyebrow.trim();
+  const moveDate = getMoveDate(settings);
+  const month = moveDate
+    ? moveDate.toLocaleDateString("en-US", { month: "long", year: "numeric" })
+    : "";
+  const route = [settings.origin.name, settings.destination.name].filter(Boolean).join(" → ");
+  return [route, month].filter(Boolean).join(" · ");
+}
+
+function isValidPlace(place) {
+  return Boolean(place?.name?.trim()) &&
+    Number.isFinite(place.lat) && Math.abs(place.lat) <= 90 &&
+    Number.isFinite(place.lng) && Math.abs(place.lng) <= 180;
+}
+
+/**
+ * Check the hero/move fields before saving
+ * @param {Object} fields - Hero and move settings from the admin form
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateHeroSettings(fields) {
+  if (!fields.heroTitle?.trim()) return "The title can't be empty.";
+  if (!isValidPlace(fields.origin)) return "Moving from needs a name, a latitude (-90 to 90) and a longitude (-180 to 180).";
+  if (!isValidPlace(fields.destination)) return "Moving to needs a name, a latitude (-90 to 90) and a longitude (-180 to 180).";
+  if (fields.moveDate && !getMoveDate(fields)) return "The move date isn't a valid date.";
+  return null;
+}
+
+/**
+ * Subscribe to the site settings. onData fires with defaults straight away
+ * if the document doesn't exist yet.
+ * @param {Function} onData - Receives the merged settings
+ * @param {Function} [onError] - Receives listener errors
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToSiteSettings(onData, onError) {
+  return onSnapshot(
+    settingsRef(),
+    (snapshot) => onData(withDefaults(snapshot.exists() ? snapshot.data() : {})),
+    (error) => {
+      console.error("Settings listener failed:", error);
+      // Keep the site usable with the built-in defaults
+      onData(withDefaults());
+      onError?.(error);
+    }
+  );
+}
+
+/**
+ * Save some settings fields (admins only), leaving the others untouched
+ * @param {Object} fields - Fields to write
+ * @returns {Promise<void>}
+ */
+export function saveSiteSettings(fields) {
+  return setDoc(settingsRef(), fields, { merge: true });
+}
+
+/**
+ * Queue a settings save in a batch (admins only), leaving other fields untouched
+ * @param {import("firebase/firestore").WriteBatch} batch - Batch to add the write to
+ * @param {Object} fields - Fields to write
+ */
+export function saveSiteSettingsInBatch(batch, fields) {
+  batch.set(settingsRef(), fields, { merge: true });
+}
+
+export default {
+  DEFAULT_SITE_SETTINGS,
+  withDefaults,
+  getMoveDate,
+  getMoveCountdown,
+  getHeroEyebrow,
+  validateHeroSettings,
+  subscribeToSiteSettings,
+  saveSiteSettings,
+  saveSiteSettingsInBatch,
+};
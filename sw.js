@@ -0,0 +1,212 @@
+/**
+ * Service Worker
+ *
+ * Lets the storefront open without a connection:
+ *
+ *   - the page shell (HTML, CSS, JS) is precached on install and served
+ *     network-first, falling back to the cache when the network is down or
+ *     too slow
+ *   - CDN libraries (Firebase SDK, fonts, icons, globe) are served from the
+ *     cache and refreshed in the background
+ *   - Cloudinary images are cached the first time they're shown, up to
+ *     IMAGE_CACHE_LIMIT of them
+ *
+ * Firestore and sign-in traffic is never touched; the items themselves are
+ * saved by the page (see scripts/offlineSupport.js).
+ *
+ * It also shows push notifications about requests (real pushes, or the
+ * local stand-in from scripts/pushNotifications.js) and opens the request's
+ * card when one is clicked.
+ *
+ * Bump CACHE_VERSION when SHELL_FILES changes so old caches are dropped.
+ */
+const CACHE_VERSION = "v5";
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `runtime-${CACHE_VERSION}`;
+const IMAGE_CACHE = `images-${CACHE_VERSION}`;
+
+const IMAGE_CACHE_LIMIT = 200;
+const NETWORK_TIMEOUT_MS = 4000;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "profile.html",
+  "manifest.webmanifest",
+  "styles/main.css",
+  "assets/favicon.svg",
+  "assets/icons/icon-192.png",
+  "assets/icons/apple-touch-icon.png",
+  "scripts/main.js",
+  "scripts/profile.js",
+  "scripts/firebaseClient.js",
+  "scripts/calendarExport.js",
+  "scripts/dataExport.js",
+  "scripts/dateOnly.js",
+  "scripts/favorites.js",
+  "scripts/icsText.js",
+  "scripts/installPrompt.js",
+  "scripts/itemAvailability.js",
+  "scripts/itemPrice.js",
+  "scripts/notifier.js",
+  "scripts/offlineSupport.js",
+  "scripts/pickupSlots.js",
+  "scripts/pushNotifications.js",
+  "scripts/requestGuard.js",
+  "scripts/requestMessages.js",
+  "scripts/requestStatus.js",
+  "scripts/siteSettings.js",
+];
+
+// Third-party hosts whose files are safe to cache (no API traffic)
+const CDN_HOSTS = [
+  "www.gstatic.com",
+  "fonts.googleapis.com",
+  "fonts.gstatic.com",
+  "cdnjs.cloudflare.com",
+  "unpkg.com",
+];
+const IMAGE_HOST = "res.cloudinary.com";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, RUNTIME_CACHE, IMAGE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => !current.includes(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else if (url.hostname === IMAGE_HOST) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE, IMAGE_CACHE_LIMIT));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+  }
+});
+
+// =====================================================
+// PUSH NOTIFICATIONS
+// =====================================================
+// Message type the page sends in place of a real push (keep in sync with
+// scripts/pushNotifications.js)
+const PUSH_STANDIN_MESSAGE = "push-standin";
+
+function showPushNotification({ title = "Moving sale update", body = "", url = "profile.html", tag } = {}) {
+  return self.registration.showNotification(title, {
+    body,
+    tag,
+    renotify: Boolean(tag),
+    icon: "assets/icons/icon-192.png",
+    badge: "assets/icons/shortcut-96.png",
+    data: { url },
+  });
+}
+
+self.addEventListener("push", (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (err) {
+    payload = { body: event.data.text() };
+  }
+  event.waitUntil(showPushNotification(payload));
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === PUSH_STANDIN_MESSAGE) {
+    event.waitUntil(showPushNotification(event.data.payload));
+  }
+});
+
+// Focus an open tab of the page (jumping to the request) or open a new one
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || "profile.html", self.registration.scope);
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window" });
+    const existing = windows.find((client) => new URL(client.url).pathname === url.pathname);
+    if (existing) {
+      await existing.focus();
+      return existing.navigate(url.href);
+    }
+    return self.clients.openWindow(url.href);
+  })());
+});
+
+// =====================================================
+// STRATEGIES
+// =====================================================
+// Cross-origin <img> responses are opaque (status 0) but still usable
+function isCacheable(response) {
+  return response && (response.ok || response.type === "opaque");
+}
+
+function timeout(ms) {
+  return new Promise((_, reject) => setTimeout(() => reject(new Error("Network timeout")), ms));
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await Promise.race([fetch(request), timeout(NETWORK_TIMEOUT_MS)]);
+    if (isCacheable(response)) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    // Query strings (?tag=…, ?item=…) still get the cached page
+    const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+    if (cached) return cached;
+    if (request.mode === "navigate") {
+      const fallback = await cache.match("index.html");
+      if (fallback) return fallback;
+    }
+    throw err;
+  }
+}
+
+async function cacheFirst(request, cacheName, limit) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (isCacheable(response)) {
+    await cache.put(request, response.clone());
+    trimCache(cache, limit);
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then((response) => {
+      if (isCacheable(response)) cache.put(request, response.clone());
+      return response;
+    })
+    .catch((err) => {
+      if (!cached) throw err;
+      return cached;
+    });
+  return cached || refresh;
+}
+
+// Drop the oldest entries (keys come back in insertion order)
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map((key) => cache.delete(key)));
+}
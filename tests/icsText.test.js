@@ -0,0 +1,53 @@
+// Run with: node --test tests/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { foldLine } from "../scripts/icsText.js";
+
+const encoder = new TextEncoder();
+const octets = (text) => encoder.encode(text).length;
+
+// Undo folding: drop each CRLF and the single space after it
+const unfold = (folded) => folded.replace(/\r\n /g, "");
+
+function assertFolded(line) {
+  const folded = foldLine(line);
+  const lines = folded.split("\r\n");
+  lines.forEach((part, index) => {
+    assert.ok(octets(part) <= 75, `line ${index} is ${octets(part)} octets`);
+    if (index > 0) assert.equal(part[0], " ");
+    // A split surrogate pair or multibyte character would not round-trip
+    assert.ok(!/[\uD800-\uDBFF]$/.test(part), `line ${index} ends in half an emoji`);
+  });
+  assert.equal(unfold(folded), line);
+  return lines;
+}
+
+test("short lines are left alone", () => {
+  assert.equal(foldLine("SUMMARY:Pickup: Lamp"), "SUMMARY:Pickup: Lamp");
+});
+
+test("ASCII lines fold at 75 octets including the leading space", () => {
+  const lines = assertFolded(`DESCRIPTION:${"a".repeat(200)}`);
+  assert.equal(octets(lines[0]), 75);
+  assert.equal(octets(lines[1]), 75);
+});
+
+test("a line of exactly 75 octets is not folded", () => {
+  assert.equal(foldLine("x".repeat(75)), "x".repeat(75));
+});
+
+test("multibyte characters are counted by their UTF-8 size", () => {
+  // "é" is 2 octets, so 74 UTF-16 units of it would be 148 octets
+  const lines = assertFolded(`SUMMARY:${"é".repeat(100)}`);
+  assert.ok(lines.length >= 3);
+});
+
+test("emoji are never split across lines", () => {
+  assertFolded(`DESCRIPTION:Note: ${"📦🛋️".repeat(30)}`);
+  // Offset by one so 4-octet emoji straddle every fold point
+  assertFolded(`X${"😀".repeat(60)}`);
+});
+
+test("mixed scripts round-trip after unfolding", () => {
+  assertFolded(`DESCRIPTION:Item: Küchentisch · 餐桌 · ${"テーブル".repeat(10)} 🍽️ ${"ñ".repeat(40)}`);
+});